@@ -0,0 +1,311 @@
+// ── Audio Analysis ────────────────────────────────────────────
+// Offline pass over a decoded AudioBuffer: onsets, band energy and
+// section boundaries. Pure DSP with no randomness, so the same track
+// always yields the same result (and therefore the same chart).
+
+const TARGET_RATE = 11025;  // analysis sample rate (tracks are resampled to it)
+const FFT_SIZE = 1024;
+const HOP = 256;            // ~23ms frames at the target rate
+const BLOCK_MS = 1000;      // section analysis resolution
+const NOVELTY_SPAN = 6;     // blocks compared on each side of a boundary
+const MIN_SECTION_MS = 8000;
+
+// Band edges (Hz): low = kick/bass, mid = vocals/snare body, high = hats/air
+const BANDS = { low: [20, 200], mid: [200, 2000], high: [2000, 5500] };
+
+// ── FFT (iterative radix-2, in place) ─────────────────────────
+
+export function createFFT(n) {
+  const levels = Math.log2(n);
+  if (levels % 1 !== 0) throw new Error('FFT size must be a power of 2');
+
+  const rev = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < levels; b++) r = (r << 1) | ((i >>> b) & 1);
+    rev[i] = r;
+  }
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let i = 0; i < n / 2; i++) {
+    cos[i] = Math.cos(2 * Math.PI * i / n);
+    sin[i] = Math.sin(2 * Math.PI * i / n);
+  }
+
+  return (re, im) => {
+    for (let i = 0; i < n; i++) {
+      const j = rev[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const step = n / size;
+      for (let i = 0; i < n; i += size) {
+        for (let j = 0, k = 0; j < half; j++, k += step) {
+          const a = i + j, b = a + half;
+          const tr = re[b] * cos[k] + im[b] * sin[k];
+          const ti = -re[b] * sin[k] + im[b] * cos[k];
+          re[b] = re[a] - tr; im[b] = im[a] - ti;
+          re[a] += tr; im[a] += ti;
+        }
+      }
+    }
+  };
+}
+
+// Mix to mono and resample to exactly `targetRate`, whatever rate the
+// device decoded at: each output sample is the mean of the input over its
+// span, edge samples weighted by how much of them falls inside (a boxcar
+// that doubles as a crude anti-alias filter). Analysis at a fixed rate
+// keeps onsets, sections and charts the same on every machine.
+export function downmix(buffer, targetRate = TARGET_RATE) {
+  const ratio = buffer.sampleRate / targetRate;
+  const len = Math.floor(buffer.length / ratio);
+  const out = new Float32Array(len);
+  const chans = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) chans.push(buffer.getChannelData(c));
+  const norm = 1 / (ratio * chans.length);
+
+  for (let i = 0; i < len; i++) {
+    const from = i * ratio, to = from + ratio;
+    let sum = 0;
+    for (let j = Math.floor(from); j < to && j < buffer.length; j++) {
+      const w = Math.min(to, j + 1) - Math.max(from, j);
+      let v = 0;
+      for (const d of chans) v += d[j];
+      sum += v * w;
+    }
+    out[i] = sum * norm;
+  }
+  return { samples: out, rate: targetRate };
+}
+
+// ── Frame features ────────────────────────────────────────────
+
+function frameFeatures(samples, rate) {
+  const frames = Math.max(0, Math.floor((samples.length - FFT_SIZE) / HOP) + 1);
+  const bins = FFT_SIZE / 2;
+  const binHz = rate / FFT_SIZE;
+  const fft = createFFT(FFT_SIZE);
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const win = new Float64Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1));
+
+  const ranges = Object.values(BANDS).map(([lo, hi]) =>
+    [Math.max(1, Math.floor(lo / binHz)), Math.min(bins - 1, Math.ceil(hi / binHz))]);
+
+  const energy = ranges.map(() => new Float32Array(frames));
+  const flux = ranges.map(() => new Float32Array(frames));
+  let prev = new Float32Array(bins);
+  let cur = new Float32Array(bins);
+
+  for (let f = 0; f < frames; f++) {
+    const off = f * HOP;
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = samples[off + i] * win[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    for (let k = 0; k < bins; k++) {
+      // Log-compressed magnitude keeps quiet passages from vanishing
+      cur[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+    }
+
+    ranges.forEach(([lo, hi], b) => {
+      let e = 0, fl = 0;
+      for (let k = lo; k <= hi; k++) {
+        e += cur[k];
+        const d = cur[k] - prev[k];
+        if (d > 0) fl += d;
+      }
+      energy[b][f] = e / (hi - lo + 1);
+      flux[b][f] = f === 0 ? 0 : fl / (hi - lo + 1);
+    });
+
+    [prev, cur] = [cur, prev];
+  }
+
+  return { frames, energy, flux };
+}
+
+function normalize(arr) {
+  let max = 0;
+  for (const v of arr) if (v > max) max = v;
+  if (max > 0) for (let i = 0; i < arr.length; i++) arr[i] /= max;
+  return arr;
+}
+
+// ── Onset detection (adaptive threshold peak picking) ─────────
+
+function detectOnsets(flux, frameMs) {
+  const names = Object.keys(BANDS);
+  const frames = flux[0].length;
+  const novelty = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    novelty[f] = flux[0][f] * 1.2 + flux[1][f] + flux[2][f] * 0.8;
+  }
+  normalize(novelty);
+
+  const W = 8;                                    // ±185ms threshold window
+  const minGap = Math.round(60 / frameMs);        // no two onsets closer than 60ms
+  const onsets = [];
+  let last = -Infinity;
+
+  for (let f = 1; f < frames - 1; f++) {
+    const v = novelty[f];
+    if (v < novelty[f - 1] || v < novelty[f + 1]) continue;
+
+    let sum = 0, n = 0;
+    for (let k = Math.max(0, f - W); k <= Math.min(frames - 1, f + W); k++) { sum += novelty[k]; n++; }
+    if (v < sum / n * 1.4 + 0.04) continue;
+    if (f - last < minGap) continue;
+
+    // Dominant band decides which lanes a note on this onset leans toward
+    let band = 0;
+    for (let b = 1; b < flux.length; b++) if (flux[b][f] > flux[band][f]) band = b;
+
+    onsets.push({ t: (f * HOP + FFT_SIZE / 2) * frameMs / HOP, strength: v, band: names[band] });
+    last = f;
+  }
+
+  // Rescale strengths so the loudest hits sit near 1
+  const sorted = onsets.map(o => o.strength).sort((a, b) => a - b);
+  const ref = sorted[Math.floor(sorted.length * 0.95)] || 1;
+  for (const o of onsets) o.strength = Math.min(1, o.strength / ref);
+
+  return onsets;
+}
+
+// ── Section boundaries (energy novelty between neighbouring blocks) ──
+
+function detectSections(energy, frameMs, durationMs) {
+  const perBlock = Math.max(1, Math.round(BLOCK_MS / frameMs));
+  const blocks = Math.max(1, Math.ceil(energy[0].length / perBlock));
+  const feats = energy.map(band => {
+    const out = new Float32Array(blocks);
+    for (let i = 0; i < blocks; i++) {
+      let s = 0, n = 0;
+      for (let f = i * perBlock; f < Math.min(band.length, (i + 1) * perBlock); f++) { s += band[f]; n++; }
+      out[i] = n ? s / n : 0;
+    }
+    return normalize(out);
+  });
+  const level = new Float32Array(blocks);
+  for (let i = 0; i < blocks; i++) level[i] = (feats[0][i] + feats[1][i] + feats[2][i]) / 3;
+
+  // Novelty: distance between the mean feature vectors before and after each block
+  const novelty = new Float32Array(blocks);
+  for (let i = NOVELTY_SPAN; i < blocks - NOVELTY_SPAN; i++) {
+    let d = 0;
+    for (const band of feats) {
+      let a = 0, b = 0;
+      for (let k = 1; k <= NOVELTY_SPAN; k++) { a += band[i - k]; b += band[i + k - 1]; }
+      d += ((b - a) / NOVELTY_SPAN) ** 2;
+    }
+    novelty[i] = Math.sqrt(d);
+  }
+
+  let mean = 0;
+  for (const v of novelty) mean += v;
+  mean /= blocks;
+  let std = 0;
+  for (const v of novelty) std += (v - mean) ** 2;
+  std = Math.sqrt(std / blocks);
+
+  const minBlocks = Math.round(MIN_SECTION_MS / BLOCK_MS);
+  const cuts = [0];
+  for (let i = 1; i < blocks - 1; i++) {
+    const v = novelty[i];
+    if (v < mean + std * 0.5) continue;
+    let isPeak = true;
+    for (let k = Math.max(0, i - minBlocks / 2); k <= Math.min(blocks - 1, i + minBlocks / 2); k++) {
+      if (novelty[k] > v) { isPeak = false; break; }
+    }
+    if (isPeak && i - cuts[cuts.length - 1] >= minBlocks && blocks - i >= minBlocks) cuts.push(i);
+  }
+  cuts.push(blocks);
+
+  const segs = [];
+  for (let s = 0; s < cuts.length - 1; s++) {
+    let e = 0;
+    for (let i = cuts[s]; i < cuts[s + 1]; i++) e += level[i];
+    segs.push({
+      start: cuts[s] * BLOCK_MS,
+      end: Math.min(durationMs, cuts[s + 1] * BLOCK_MS),
+      energy: e / (cuts[s + 1] - cuts[s]),
+    });
+  }
+
+  // Relative loudness of each section within this track (0 = quietest, 1 = loudest)
+  const lo = Math.min(...segs.map(s => s.energy));
+  const hi = Math.max(...segs.map(s => s.energy));
+  for (const s of segs) s.level = hi - lo > 1e-6 ? (s.energy - lo) / (hi - lo) : 0.7;
+
+  return labelSections(segs);
+}
+
+function labelSections(segs) {
+  const last = segs.length - 1;
+  segs.forEach((s, i) => {
+    if (i === 0 && s.level < 0.5) s.label = 'intro';
+    else if (i === last && s.level < 0.6) s.label = 'outro';
+    else if (s.level >= 0.75) s.label = 'chorus';
+    else if (s.level < 0.35) s.label = 'bridge';
+    else s.label = 'verse';
+  });
+  // A middling section leading straight into a chorus is its build-up
+  for (let i = 0; i < last; i++) {
+    if (segs[i].label === 'verse' && segs[i + 1].label === 'chorus') segs[i].label = 'buildup';
+  }
+  return segs.map(({ start, end, level, label }) => ({ start, end, level, label }));
+}
+
+// ── Public API ────────────────────────────────────────────────
+
+export function analyzeAudio(buffer) {
+  const { samples, rate } = downmix(buffer);
+  const frameMs = HOP / rate * 1000;
+  const durationMs = buffer.duration * 1000;
+
+  const { energy, flux } = frameFeatures(samples, rate);
+  const onsets = detectOnsets(flux, frameMs);
+  const sections = detectSections(energy, frameMs, durationMs);
+  const bands = Object.keys(BANDS);
+
+  return {
+    frameMs,
+    durationMs,
+    energy: Object.fromEntries(bands.map((b, i) => [b, normalize(energy[i])])),
+    onsets,
+    sections,
+  };
+}
+
+// Index of the first onset at or after time t (onsets are sorted by time)
+function lowerBound(onsets, t) {
+  let lo = 0, hi = onsets.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (onsets[mid].t < t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+// Strongest onset within `radius` ms of time t
+export function onsetNear(onsets, t, radius) {
+  let best = null;
+  for (let i = lowerBound(onsets, t - radius); i < onsets.length && onsets[i].t <= t + radius; i++) {
+    if (!best || onsets[i].strength > best.strength) best = onsets[i];
+  }
+  return best;
+}
+
+// Number of onsets in [from, to)
+export function countOnsets(onsets, from, to) {
+  return lowerBound(onsets, to) - lowerBound(onsets, from);
+}
@@ -1,5 +1,8 @@
 // ── Audio Manager ─────────────────────────────────────────────
-// Handles MP3 loading, playback, hit sounds, and frequency analysis
+// Handles song loading (URL or local file), playback (at any rate), lobby
+// previews, hit sounds, and frequency analysis
+
+import { timeStretch } from './stretch.js';
 
 export class AudioManager {
   constructor() {
@@ -13,7 +16,13 @@ export class AudioManager {
     this.playing = false;
     this.startTime = 0;
     this.pauseOffset = 0;
+    // Song seconds per context second for the current playback
+    this.rate = 1;
+    // Pitch-preserving copy of `buffer` for one rate: { rate, buffer }
+    this._stretched = null;
     this._ready = false;
+    // Lobby preview loop (its own nodes; never touches `source`)
+    this._preview = null;
   }
 
   init() {
@@ -48,11 +57,12 @@ export class AudioManager {
 
   // Load an MP3 from URL with progress callback (with retry)
   async loadSong(url, onProgress) {
-    this.init();
-    await this.resume();
-    this.stop();
-    this.buffer = null;
+    await this._prepareLoad();
+    return this._decode(await this.fetchSong(url, onProgress));
+  }
 
+  // Download a track's bytes without decoding them (with retry)
+  async fetchSong(url, onProgress) {
     let response = null;
     let lastErr = null;
     for (let attempt = 0; attempt < 3; attempt++) {
@@ -89,8 +99,52 @@ export class AudioManager {
       blob.set(chunk, offset);
       offset += chunk.length;
     }
+    return blob.buffer;
+  }
+
+  // Part of a track via an HTTP range request: { bytes, total } where total
+  // is the full file size (0 if the server doesn't say)
+  async fetchSongRange(url, start, length) {
+    const response = await fetch(url, { headers: { Range: `bytes=${start}-${start + length - 1}` } });
+    if (response.status !== 206) throw new Error(`Range request failed (HTTP ${response.status})`);
+    const total = parseInt((response.headers.get('Content-Range') || '').split('/')[1]) || 0;
+    return { bytes: await response.arrayBuffer(), total };
+  }
+
+  // Decode bytes into a standalone buffer; the loaded track is left alone
+  decodeClip(bytes) {
+    this.init();
+    return this.ctx.decodeAudioData(bytes);
+  }
+
+  // Decode already-downloaded bytes (detaches them)
+  async loadBytes(bytes) {
+    await this._prepareLoad();
+    return this._decode(bytes);
+  }
+
+  // Load a local audio file (anything the browser can decode)
+  async loadFile(file, onProgress) {
+    await this._prepareLoad();
+    const bytes = await file.arrayBuffer();
+    onProgress?.(1);
+    return this._decode(bytes);
+  }
 
-    this.buffer = await this.ctx.decodeAudioData(blob.buffer);
+  async _prepareLoad() {
+    this.init();
+    await this.resume();
+    this.stop();
+    this.buffer = null;
+    this._stretched = null;
+  }
+
+  async _decode(bytes) {
+    try {
+      this.buffer = await this.ctx.decodeAudioData(bytes);
+    } catch (e) {
+      throw new Error('Could not decode audio (unsupported or damaged file)');
+    }
     return this.buffer;
   }
 
@@ -100,21 +154,75 @@ export class AudioManager {
 
   get currentTime() {
     if (!this.playing) return this.pauseOffset;
-    return this.ctx.currentTime - this.startTime;
+    return (this.ctx.currentTime - this.startTime) * this.rate;
   }
 
-  play(offset = 0) {
-    if (!this.buffer || !this._ready) return;
-    this.stop();
+  // Context time (s) of the audio reaching the speakers at a
+  // performance.now()-based timestamp, such as an input event's timeStamp
+  outputTimeAt(ts) {
+    const ctx = this.ctx;
+    const latency = (ctx.outputLatency || 0) + (ctx.baseLatency || 0);
+    // A suspended context isn't advancing, so neither is the song
+    if (ctx.state !== 'running') return ctx.currentTime - latency;
+
+    if (ctx.getOutputTimestamp) {
+      const { contextTime, performanceTime } = ctx.getOutputTimestamp();
+      // Some browsers report zeros until the first quantum is out
+      if (performanceTime > 0) {
+        // Never ahead of what has been rendered (stale stamps right after a resume)
+        return Math.min(contextTime + (ts - performanceTime) / 1000, ctx.currentTime);
+      }
+    }
+    return ctx.currentTime - latency + (ts - performance.now()) / 1000;
+  }
+
+  // Song position (ms) heard at a performance.now()-based timestamp.
+  // Negative before a scheduled start; frozen while the context is suspended.
+  // Runs `rate` times as fast as the context clock.
+  songMsAt(ts = performance.now()) {
+    if (!this.ctx) return 0;
+    return (this.outputTimeAt(ts) - this.startTime) * 1000 * this.rate;
+  }
 
-    this.source = this.ctx.createBufferSource();
-    this.source.buffer = this.buffer;
-    this.source.connect(this.gainNode);
-    this.source.onended = () => { this.playing = false; };
+  // True if playing at `rate` with pitch kept would need prepareStretch() first
+  needsStretch(rate) {
+    return !!this.buffer && rate !== 1 && !(this._stretched && this._stretched.rate === rate);
+  }
+
+  // Build the pitch-preserving copy of the track for `rate` (blocks for a
+  // moment on long tracks; kept until another track loads)
+  prepareStretch(rate) {
+    if (!this.needsStretch(rate)) return;
+    this._stretched = null;
+    const data = timeStretch(this.buffer, rate);
+    const buffer = this.ctx.createBuffer(data.length, data[0].length, this.buffer.sampleRate);
+    data.forEach((d, c) => buffer.copyToChannel(d, c));
+    this._stretched = { rate, buffer };
+  }
 
-    this.startTime = this.ctx.currentTime - offset;
+  // offset: position in the track (s); delay: seconds from now to start;
+  // rate: playback speed, keeping pitch if prepareStretch(rate) ran first
+  play(offset = 0, delay = 0, rate = 1, preservePitch = false) {
+    if (!this.buffer || !this._ready) return;
+    this.stop();
+    this.stopPreview(0);
+
+    const stretched = preservePitch && rate !== 1 && this._stretched && this._stretched.rate === rate;
+    const src = this.ctx.createBufferSource();
+    this.source = src;
+    src.buffer = stretched ? this._stretched.buffer : this.buffer;
+    src.playbackRate.value = stretched ? 1 : rate;
+    src.connect(this.gainNode);
+    // A source replaced by a later play() (a seek) ends asynchronously;
+    // only the current one's end means playback stopped
+    src.onended = () => { if (this.source === src) this.playing = false; };
+
+    const when = this.ctx.currentTime + delay;
+    this.rate = rate;
+    this.startTime = when - offset / rate;
     this.pauseOffset = offset;
-    this.source.start(0, offset);
+    // The stretched copy is indexed in its own (scaled) time
+    this.source.start(when, stretched ? offset / rate : offset);
     this.playing = true;
   }
 
@@ -128,6 +236,64 @@ export class AudioManager {
     this.pauseOffset = 0;
   }
 
+  // ── Lobby Preview ───────────────────────────────────────
+
+  // Loop `length` s of `buffer` from `start`, each pass crossfading into
+  // the next. Runs on its own chain into the analyser, so the lobby visuals
+  // still react, without disturbing the gameplay source.
+  playPreview(buffer, start, length, fade = 1) {
+    if (!this._ready) return;
+    this.stopPreview();
+    const ctx = this.ctx;
+    const bus = ctx.createGain();
+    bus.gain.value = 0.6;
+    bus.connect(this.analyser);
+    const preview = { bus, sources: new Set(), timer: 0, next: ctx.currentTime + 0.05 };
+    this._preview = preview;
+
+    // Keep about a second of passes scheduled ahead
+    const schedule = () => {
+      while (preview.next < ctx.currentTime + 1) {
+        const t = preview.next;
+        const src = ctx.createBufferSource();
+        const env = ctx.createGain();
+        src.buffer = buffer;
+        env.gain.setValueAtTime(0, t);
+        env.gain.linearRampToValueAtTime(1, t + fade);
+        env.gain.setValueAtTime(1, t + length - fade);
+        env.gain.linearRampToValueAtTime(0, t + length);
+        src.connect(env);
+        env.connect(bus);
+        src.onended = () => {
+          env.disconnect();
+          preview.sources.delete(src);
+        };
+        src.start(t, start, length);
+        preview.sources.add(src);
+        preview.next = t + length - fade;
+      }
+      preview.timer = setTimeout(schedule, 250);
+    };
+    schedule();
+  }
+
+  // Fade the preview out over `fade` s and release its nodes
+  stopPreview(fade = 0.15) {
+    const preview = this._preview;
+    if (!preview) return;
+    this._preview = null;
+    clearTimeout(preview.timer);
+
+    const now = this.ctx.currentTime;
+    preview.bus.gain.cancelScheduledValues(now);
+    preview.bus.gain.setValueAtTime(preview.bus.gain.value, now);
+    preview.bus.gain.linearRampToValueAtTime(0, now + fade);
+    for (const src of preview.sources) {
+      try { src.stop(now + fade); } catch (e) { /* ignore */ }
+    }
+    setTimeout(() => preview.bus.disconnect(), (fade + 0.1) * 1000);
+  }
+
   // Get frequency spectrum data (0-255 per bin)
   getFrequency() {
     if (!this.analyser) return null;
@@ -175,6 +341,25 @@ export class AudioManager {
     osc.stop(this.ctx.currentTime + 0.1);
   }
 
+  // Metronome click at a context time (accented = count-in / downbeat).
+  // Returns the oscillator so a cancelled count can be silenced.
+  playClick(when, accent = false) {
+    if (!this._ready) return;
+    const osc = this.ctx.createOscillator();
+    const env = this.ctx.createGain();
+    osc.type = 'square';
+    osc.frequency.value = accent ? 1760 : 1320;
+
+    env.gain.setValueAtTime(0.25, when);
+    env.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+
+    osc.connect(env);
+    env.connect(this.hitGain);
+    osc.start(when);
+    osc.stop(when + 0.05);
+    return osc;
+  }
+
   // Play miss sound
   playMiss() {
     if (!this._ready) return;
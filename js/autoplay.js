@@ -0,0 +1,49 @@
+// ── Autoplay ──────────────────────────────────────────────────
+// Plays a chart through the same judgment as the player: every note is
+// pressed (and every hold released) via Game.tryHit / releaseHold, with
+// timestamps back-dated to the exact note time plus an optional error.
+
+import { createRNG } from './utils.js';
+import { isHold } from './beatmap.js';
+
+// Spreads (ms, standard deviation) offered for the human-like error; 0 is perfect
+export const AUTO_ERRORS = [0, 15, 30, 50];
+
+export class AutoPlayer {
+  constructor(game, spread = 0, seed = Date.now()) {
+    this.game = game;
+    this.spread = spread;
+    this.rng = createRNG(seed >>> 0);
+    // Pending { at (song ms), lane, release } in time order
+    this.events = [];
+  }
+
+  // Normal-distributed timing error (Box–Muller)
+  _error() {
+    if (!this.spread) return 0;
+    const u = 1 - this.rng(), v = this.rng();
+    return this.spread * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Queue presses (and hold releases) for a fresh set of notes
+  reset(notes) {
+    this.events = [];
+    for (const n of notes) {
+      this.events.push({ at: n.t + this._error(), lane: n.lane, release: false });
+      if (isHold(n)) this.events.push({ at: n.end + Math.min(0, this._error()), lane: n.lane, release: true });
+    }
+    this.events.sort((a, b) => a.at - b.at);
+  }
+
+  // Send everything due by `songMs` (judged song time at `now`); rate is
+  // song ms per real ms, to turn song times back into event timestamps
+  update(songMs, now, rate) {
+    const { game, events } = this;
+    while (events.length && events[0].at <= songMs) {
+      const e = events.shift();
+      const ts = now - (songMs - e.at) / rate;
+      if (e.release) game.releaseHold(e.lane, ts);
+      else game.tryHit(e.lane, ts);
+    }
+  }
+}
@@ -0,0 +1,150 @@
+// ── Backup ────────────────────────────────────────────────────
+// Everything the player has built up in one versioned JSON file: high
+// scores, run history, settings (offsets, modifiers, ghost) and replays.
+// Restoring merges a backup into what's here rather than replacing it.
+// Keys aren't remappable (InputManager.KEY_MAP), so there are no keybinds
+// to carry.
+
+import { dbGetAll, transact } from './db.js';
+import { loadAllScores, mergeScores, GRADE_COLORS } from './scores.js';
+import { loadSettings, saveSettings, MAX_OFFSET } from './settings.js';
+import { normalizeMods } from './modifiers.js';
+import { listReplays, saveReplay, validateReplay } from './replays.js';
+import { downloadText, clamp } from './utils.js';
+
+export const BACKUP_VERSION = 1;
+export const BACKUP_EXTENSION = '.brbackup';
+
+// Upgrades from older formats, applied in order: MIGRATIONS[n] turns a
+// version n backup into version n + 1. Add one with every version bump.
+const MIGRATIONS = {};
+
+// An IndexedDB read, or null (with a warning) where it isn't available
+async function readStore(read, what) {
+  try {
+    return await read();
+  } catch (e) {
+    console.warn(`${what} unavailable:`, e);
+    return null;
+  }
+}
+
+export async function createBackup() {
+  return {
+    app: 'beatrush',
+    version: BACKUP_VERSION,
+    date: new Date().toISOString(),
+    scores: loadAllScores(),
+    runs: await readStore(() => dbGetAll('runs'), 'Run history') || [],
+    settings: loadSettings(),
+    replays: await readStore(listReplays, 'Replays') || [],
+  };
+}
+
+export async function exportBackup() {
+  const backup = await createBackup();
+  downloadText(`beatrush-backup-${backup.date.slice(0, 10)}${BACKUP_EXTENSION}`, JSON.stringify(backup), 'application/json');
+  return backup;
+}
+
+// Bring an older backup up to the current format; throws on newer or
+// unrecognised ones
+function migrateBackup(data) {
+  if (!data || data.app !== 'beatrush' || !Number.isInteger(data.version)) {
+    throw new Error('Not a Beat Rush backup file');
+  }
+  if (data.version > BACKUP_VERSION) {
+    throw new Error('This backup is from a newer version of the game');
+  }
+  while (data.version < BACKUP_VERSION) {
+    const up = MIGRATIONS[data.version];
+    if (!up) throw new Error(`Backups from version ${data.version} can no longer be restored`);
+    data = { ...up(data), version: data.version + 1 };
+  }
+  return data;
+}
+
+// Structural check after migration; the parts are checked record by record
+// when they're merged
+function validateBackup(data) {
+  const ok = data.scores && typeof data.scores === 'object'
+    && Array.isArray(data.runs) && Array.isArray(data.replays)
+    && data.settings && typeof data.settings === 'object';
+  if (!ok) throw new Error('The backup file is incomplete or damaged');
+  return data;
+}
+
+// Parsed, migrated backup from an exported file
+export async function readBackupFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`"${file.name}" is not a backup file`);
+  }
+  return validateBackup(migrateBackup(data));
+}
+
+// Runs end up on the history screen, so every field it shows is checked
+function validRun(r) {
+  const positive = v => Number.isFinite(v) && v > 0;
+  return r && typeof r.id === 'string' && typeof r.title === 'string'
+    && typeof r.date === 'string' && typeof r.difficulty === 'string'
+    && Number.isFinite(r.score) && Number.isFinite(r.accuracy)
+    && r.grade in GRADE_COLORS && positive(r.rate) && (r.speed == null || positive(r.speed))
+    && Array.isArray(r.mods) && r.mods.every(m => typeof m === 'string');
+}
+
+// Settings from a backup over the current ones: only known settings of the
+// right type, offsets clamped, modifiers normalized
+function mergeSettings(current, restored) {
+  const next = { ...current };
+  for (const [key, value] of Object.entries(restored)) {
+    if (key in current && typeof value === typeof current[key]) next[key] = value;
+  }
+  next.audioOffset = clamp(Math.round(next.audioOffset) || 0, -MAX_OFFSET, MAX_OFFSET);
+  next.visualOffset = clamp(Math.round(next.visualOffset) || 0, -MAX_OFFSET, MAX_OFFSET);
+  next.modifiers = normalizeMods(next.modifiers);
+  return next;
+}
+
+// Merge a backup into this device:
+//   scores   - the higher score per track, tier and rate
+//   runs     - added unless one with the same id is already here
+//   replays  - likewise (the newest are kept as usual)
+//   settings - the backup's replace these
+// Scores and settings come first; runs and replays are skipped where
+// IndexedDB isn't available. Returns the restored settings and how many
+// of each were added.
+export async function restoreBackup(data, settings) {
+  const scores = mergeScores(data.scores);
+  const next = mergeSettings(settings, data.settings);
+  if (!saveSettings(next)) throw new Error('Not enough storage space to restore the settings');
+
+  let runs = [];
+  const stored = await readStore(() => dbGetAll('runs'), 'Run history');
+  if (stored) {
+    const have = new Set(stored.map(r => r.id));
+    runs = data.runs.filter(r => validRun(r) && !have.has(r.id));
+    if (runs.length) {
+      await transact('runs', 'readwrite', store => { runs.forEach(r => store.put(r)); });
+    }
+  }
+
+  let replays = 0;
+  const kept = await readStore(listReplays, 'Replays');
+  if (kept) {
+    const known = new Set(kept.map(r => r.id));
+    for (const rec of data.replays) {
+      if (!rec || typeof rec.id !== 'string' || known.has(rec.id)) continue;
+      try {
+        await saveReplay(validateReplay(rec));
+        replays++;
+      } catch (e) {
+        console.warn('Skipped a replay in the backup:', e);
+      }
+    }
+  }
+
+  return { settings: next, scores, runs: runs.length, replays };
+}
@@ -1,25 +1,36 @@
 // ── Beat Map Generator ────────────────────────────────────────
-// Procedurally generates note patterns from BPM and song identity
+// Procedurally generates note patterns from BPM and song identity,
+// steered by the audio analysis (onsets, energy, sections) when available
 
-import { createRNG, hashString } from './utils.js';
+import { createRNG, hashString, clamp } from './utils.js';
+import { onsetNear, countOnsets } from './analysis.js';
+import { beatPhase } from './tempo.js';
+import { createTiming, songTiming, hasOwnTiming, beatToMs, msToBeat, beatLength } from './timing.js';
 
-// Section definitions: [startPct, endPct, density, maxSimultaneous, name]
+// ms of audio before the first note
+const LEAD_IN = 2500;
+
+// Bump whenever generated charts change, so cached copies are regenerated
+export const GENERATOR_VERSION = 2;
+
+// Section definitions: [startPct, endPct, density, maxSimultaneous, name, sustain]
+// sustain = chance that a placed pattern comes from the hold pool instead
 const SECTIONS = [
-  [0.00, 0.04, 0.20, 1, 'intro'],
-  [0.04, 0.12, 0.45, 1, 'warmup'],
-  [0.12, 0.25, 0.60, 2, 'verse1'],
-  [0.25, 0.38, 0.80, 2, 'buildup1'],
-  [0.38, 0.52, 1.00, 3, 'chorus1'],
-  [0.52, 0.60, 0.50, 2, 'bridge'],
-  [0.60, 0.72, 0.65, 2, 'verse2'],
-  [0.72, 0.80, 0.85, 2, 'buildup2'],
-  [0.80, 0.93, 1.00, 4, 'chorus2'],
-  [0.93, 0.97, 0.40, 2, 'outro'],
-  [0.97, 1.00, 0.15, 1, 'end'],
+  [0.00, 0.04, 0.20, 1, 'intro',    0.50],
+  [0.04, 0.12, 0.45, 1, 'warmup',   0.25],
+  [0.12, 0.25, 0.60, 2, 'verse1',   0.15],
+  [0.25, 0.38, 0.80, 2, 'buildup1', 0.05],
+  [0.38, 0.52, 1.00, 3, 'chorus1',  0.10],
+  [0.52, 0.60, 0.50, 2, 'bridge',   0.45],
+  [0.60, 0.72, 0.65, 2, 'verse2',   0.15],
+  [0.72, 0.80, 0.85, 2, 'buildup2', 0.05],
+  [0.80, 0.93, 1.00, 4, 'chorus2',  0.10],
+  [0.93, 0.97, 0.40, 2, 'outro',    0.40],
+  [0.97, 1.00, 0.15, 1, 'end',      0.60],
 ];
 
-// Pattern templates: arrays of [beatOffset, lane] pairs
-// Lane -1 means "pick random lane"
+// Pattern templates: arrays of [beatOffset, lane, holdBeats?] entries
+// Lane -1 means "pick random lane"; holdBeats turns the note into a hold
 const PATTERNS = {
   single:     [[0, -1]],
   double:     [[0, -1], [0, -1]],
@@ -36,6 +47,12 @@ const PATTERNS = {
   chord3:     [[0, 0], [0, 1], [0, 2]],
   chord4:     [[0, 0], [0, 1], [0, 2], [0, 3]],
   roll:       [[0, 0], [0.25, 1], [0.5, 2], [0.75, 3], [1, 3], [1.25, 2], [1.5, 1], [1.75, 0]],
+  hold:       [[0, -1, 2]],
+  holdLong:   [[0, -1, 4]],
+  holdPair:   [[0, 0, 2], [0, 3, 2]],
+  holdInner:  [[0, 1, 3], [0, 2, 3]],
+  holdTaps:   [[0, 0, 3], [1, 2], [1.5, 3], [2, 2]],
+  holdStair:  [[0, 0, 1], [1, 1, 1], [2, 2, 1], [3, 3, 1]],
 };
 
 // Difficulty-based pattern pools
@@ -53,6 +70,57 @@ const PATTERN_POOLS = {
   end:      ['single', 'chord4'],
 };
 
+// Hold pools, drawn from according to the section's sustain chance
+const HOLD_POOLS = {
+  intro:    ['holdLong'],
+  warmup:   ['hold', 'holdLong'],
+  verse1:   ['hold', 'holdTaps', 'holdStair'],
+  buildup1: ['hold', 'holdPair'],
+  chorus1:  ['holdPair', 'holdTaps', 'holdInner'],
+  bridge:   ['hold', 'holdLong', 'holdInner', 'holdStair'],
+  verse2:   ['hold', 'holdTaps', 'holdStair'],
+  buildup2: ['hold', 'holdPair'],
+  chorus2:  ['holdPair', 'holdTaps', 'holdInner'],
+  outro:    ['hold', 'holdLong', 'holdPair'],
+  end:      ['holdLong', 'holdPair'],
+};
+
+// Per-tier tuning:
+//   density  – multiplier on the section density
+//   maxSimul – cap on simultaneous notes (on top of the section's own cap)
+//   minStep  – tightest spacing (in beats) a pattern may use
+//   extra    – additional patterns mixed into every pool that allows chords
+const TIERS = {
+  easy:   { density: 0.55, maxSimul: 2, minStep: 1 },
+  normal: { density: 1.00, maxSimul: 4, minStep: 0 },
+  hard:   { density: 1.25, maxSimul: 4, minStep: 0, extra: ['stream4', 'roll'] },
+  expert: { density: 1.50, maxSimul: 4, minStep: 0, extra: ['stream8', 'roll', 'chord3'] },
+};
+
+// Smallest gap between two distinct beat offsets in a pattern
+function patternStep(pattern) {
+  const offs = [...new Set(pattern.map(p => p[0]))].sort((a, b) => a - b);
+  let step = Infinity;
+  for (let i = 1; i < offs.length; i++) step = Math.min(step, offs[i] - offs[i - 1]);
+  return step;
+}
+
+// Pattern pool for a section on a given tier. The tier's extra patterns
+// (streams, rolls) only join tap pools, so hold sections stay holds.
+function tierPool(pool, tier, maxSimul, hold) {
+  let out = pool.filter(name => patternStep(PATTERNS[name]) >= tier.minStep);
+  if (tier.extra && maxSimul >= 2 && !hold) out = out.concat(tier.extra);
+  return out.length ? out : ['single'];
+}
+
+// A hold note has an end time after its start; taps have none
+export function isHold(note) {
+  return note.end != null;
+}
+
+// Lanes each analysis band leans toward: kicks outside, hats inside
+const BAND_LANES = { low: [0, 3], mid: [0, 1, 2, 3], high: [1, 2] };
+
 function getSection(progress) {
   for (const s of SECTIONS) {
     if (progress >= s[0] && progress < s[1]) return s;
@@ -60,64 +128,165 @@ function getSection(progress) {
   return SECTIONS[SECTIONS.length - 1];
 }
 
-export function generateBeatMap(song, durationSec) {
+// Turn analysed sections into section rows (in ms instead of pct).
+// Repeated labels step through the numbered pools (verse1 → verse2),
+// and the section's loudness sets its density.
+function sectionsFromAnalysis(analysis) {
+  const seen = {};
+  return analysis.sections.map(({ start, end, level, label }) => {
+    let name = label;
+    if (label === 'verse' || label === 'buildup' || label === 'chorus') {
+      seen[label] = (seen[label] || 0) + 1;
+      name = label + Math.min(seen[label], 2);
+    }
+    const base = SECTIONS.find(s => s[4] === name) || SECTIONS[2];
+    return [start, end, 0.2 + 0.85 * level, base[3], name, base[5]];
+  });
+}
+
+function sectionAt(rows, ms) {
+  for (const s of rows) {
+    if (ms >= s[0] && ms < s[1]) return s;
+  }
+  return rows[rows.length - 1];
+}
+
+// Timing a generated chart sits on. Songs with their own timing keep it;
+// otherwise it's a constant grid from `bpm` starting at the lead-in,
+// phase-locked to the track's onsets when analysis is available.
+export function chartTiming(song, analysis = null) {
+  if (hasOwnTiming(song)) return songTiming(song);
+  const beatMs = 60000 / song.bpm;
+  const onsets = analysis ? analysis.onsets : null;
+  const gridStart = onsets && onsets.length
+    ? LEAD_IN + ((beatPhase(onsets, beatMs) - LEAD_IN) % beatMs + beatMs) % beatMs
+    : LEAD_IN;
+  return createTiming(song.bpm, gridStart);
+}
+
+// Beats a generated chart is laid on: counted from the first whole chart
+// beat after the lead-in, `totalBeats` of them
+function chartGrid(timing, totalMs) {
+  const startBeat = Math.ceil(msToBeat(timing, LEAD_IN) - 1e-6);
+  const gridStart = beatToMs(timing, startBeat);
+  // Constant tempo counts beats exactly as before, so existing charts don't change
+  const totalBeats = timing.bpms.length === 1 && !timing.stops.length
+    ? Math.floor(totalMs / beatLength(timing, 0))
+    : Math.floor(msToBeat(timing, gridStart + totalMs) - startBeat);
+  return { startBeat, totalBeats, at: b => beatToMs(timing, startBeat + b) };
+}
+
+// Sections of the chart generateBeatMap() builds for the same song and
+// analysis: [{ name, start, end }] in ms, e.g. 'chorus2'
+export function chartSections(song, durationSec, analysis = null) {
+  if (analysis) {
+    return sectionsFromAnalysis(analysis).map(([start, end, , , name]) => ({ name, start, end }));
+  }
+  const { totalBeats, at } = chartGrid(chartTiming(song), durationSec * 1000);
+  return SECTIONS.map(([from, to, , , name]) => ({
+    name,
+    start: Math.round(at(Math.ceil(from * totalBeats))),
+    end: Math.round(at(Math.ceil(to * totalBeats))),
+  }));
+}
+
+// options.analysis:   result of analyzeAudio() for this track (optional)
+// options.difficulty: chart tier id (easy | normal | hard | expert)
+export function generateBeatMap(song, durationSec, options = {}) {
+  const { analysis = null, difficulty = 'normal' } = options;
   const { bpm, title } = song;
-  const rng = createRNG(hashString(title));
-  const beatMs = 60000 / bpm;
+  const tier = TIERS[difficulty] || TIERS.normal;
+  // Normal keeps the original seed so its chart stays the same
+  const rng = createRNG(hashString(difficulty === 'normal' ? title : `${title}:${difficulty}`));
+  const timing = chartTiming(song, analysis);
   const totalMs = durationSec * 1000;
-  const leadIn = 2500; // ms before first note
+
+  // Sections come from the audio instead of fixed percentages when analysed
+  const onsets = analysis ? analysis.onsets : null;
+  const rows = analysis ? sectionsFromAnalysis(analysis) : null;
+  const lastMs = analysis ? totalMs - 1000 : totalMs + LEAD_IN - 1000;
+
+  // Beats below count from the first whole chart beat after the lead-in
+  const { startBeat, totalBeats, at } = chartGrid(timing, totalMs);
 
   const notes = [];
   let beat = 0;
-  const totalBeats = Math.floor(totalMs / beatMs);
 
   // Difficulty scaling: faster songs get denser patterns
   const densityScale = bpm >= 135 ? 0.85 : bpm >= 115 ? 1.0 : bpm >= 95 ? 1.15 : 1.3;
+  // Slow songs lean on sustained notes to fill their long passages
+  const sustainScale = bpm < 95 ? 1.6 : bpm < 115 ? 1.0 : 0.6;
 
   while (beat < totalBeats) {
-    const progress = beat / totalBeats;
-    const section = getSection(progress);
-    const [, , baseDensity, maxSimul, sectionName] = section;
-    const density = baseDensity * densityScale;
-
-    // Decide if we place notes on this beat
-    if (rng() < density) {
-      const pool = PATTERN_POOLS[sectionName] || ['single'];
-      const patternName = pool[Math.floor(rng() * pool.length)];
+    const beatTime = at(beat);
+    const beatMs = beatLength(timing, startBeat + beat);
+    const section = rows ? sectionAt(rows, beatTime) : getSection(beat / totalBeats);
+    const [, , baseDensity, sectionSimul, sectionName, sustain] = section;
+    const density = baseDensity * densityScale * tier.density;
+    const maxSimul = Math.min(sectionSimul, tier.maxSimul);
+
+    // How strongly the audio marks this beat, and how busy the next two beats are
+    const accent = onsets ? (onsetNear(onsets, beatTime, beatMs * 0.25)?.strength || 0) : 0.5;
+    const busy = onsets ? clamp(countOnsets(onsets, beatTime, beatTime + beatMs * 2) / 8, 0, 1) : 0.5;
+
+    // Decide if we place notes on this beat (accented beats are favoured)
+    if (rng() < density * (0.4 + accent * 1.2)) {
+      // Sustained, sparse passages call for holds
+      const useHold = rng() < sustain * sustainScale * (1.5 - busy);
+      const pool = tierPool((useHold ? HOLD_POOLS[sectionName] : PATTERN_POOLS[sectionName]) || ['single'], tier, maxSimul, useHold);
+      // Busier audio picks from the denser end of the pool
+      const ranked = onsets ? [...pool].sort((a, b) => PATTERNS[a].length - PATTERNS[b].length) : pool;
+      const pick = onsets ? clamp(busy * 0.6 + rng() * 0.4, 0, 0.999) : rng();
+      const patternName = ranked[Math.floor(pick * ranked.length)];
       const pattern = PATTERNS[patternName];
 
       // For patterns needing random lanes, assign them
       const usedLanes = new Set();
-      for (const [beatOffset, lane] of pattern) {
+      for (const [beatOffset, lane, holdBeats] of pattern) {
+        const timeKey = startBeat + beat + beatOffset;
+        const timeMs = at(beat + beatOffset);
+
         let l = lane;
         if (l === -1) {
+          // Lean toward the lanes matching the dominant band of a nearby onset
+          const near = onsets && onsetNear(onsets, timeMs, beatMs * 0.125);
+          if (near) {
+            const lanes = BAND_LANES[near.band];
+            l = lanes[Math.floor(rng() * lanes.length)];
+          }
           // Pick a lane not used in this simultaneous group
-          const sameBeatNotes = pattern.filter(p => p[0] === beatOffset && p[1] !== -1);
-          do { l = Math.floor(rng() * 4); } while (usedLanes.has(`${beatOffset}-${l}`));
+          while (l === -1 || usedLanes.has(`${beatOffset}-${l}`)) l = Math.floor(rng() * 4);
         }
         usedLanes.add(`${beatOffset}-${l}`);
 
         // Enforce maxSimultaneous: count how many notes at this exact beatOffset
-        const timeKey = beat + beatOffset;
         const simultaneousCount = notes.filter(n =>
           Math.abs(n.beat - timeKey) < 0.01
         ).length;
         if (simultaneousCount >= maxSimul) continue;
 
-        const timeMs = leadIn + timeKey * beatMs;
-        if (timeMs > totalMs + leadIn - 1000) continue;
+        if (timeMs > lastMs) continue;
 
-        notes.push({
+        const note = {
           t: timeMs,
           beat: timeKey,
           lane: l,
           hit: false,
           missed: false,
-        });
+        };
+        if (holdBeats) {
+          const endBeat = timeKey + holdBeats;
+          const endMs = Math.min(beatToMs(timing, endBeat), lastMs);
+          // Holds cut too short by the song end stay plain taps
+          if (endMs - timeMs >= beatMs * 0.75) {
+            Object.assign(note, { end: endMs, endBeat, holding: false, held: false, dropped: false });
+          }
+        }
+        notes.push(note);
       }
 
-      // Advance past the pattern's duration
-      const patternLength = Math.max(...pattern.map(p => p[0])) + 1;
+      // Advance past the pattern's duration (including any hold tails)
+      const patternLength = Math.max(...pattern.map(p => p[0] + (p[2] || 0))) + 1;
       beat += Math.max(patternLength, 1);
 
       // Add some spacing based on inverse density
@@ -127,17 +296,26 @@ export function generateBeatMap(song, durationSec) {
     }
   }
 
-  // Sort by time, remove duplicates at same time+lane
+  // Sort by time, remove duplicates at same time+lane and anything
+  // that would land inside a hold in the same lane
   notes.sort((a, b) => a.t - b.t || a.lane - b.lane);
   const unique = [];
   const seen = new Set();
+  const laneFreeAt = [0, 0, 0, 0];
   for (const n of notes) {
     const key = `${Math.round(n.t)}-${n.lane}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(n);
-    }
+    if (seen.has(key) || n.t < laneFreeAt[n.lane]) continue;
+    seen.add(key);
+    unique.push(n);
+    if (isHold(n)) laneFreeAt[n.lane] = n.end + beatLength(timing, n.endBeat) * 0.5;
   }
 
   return unique;
 }
+
+// Fresh, unplayed copies of a chart's notes (for replaying imported charts)
+export function cloneNotes(notes) {
+  return notes.map(n => isHold(n)
+    ? { ...n, hit: false, missed: false, holding: false, held: false, dropped: false }
+    : { ...n, hit: false, missed: false });
+}
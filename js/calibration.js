@@ -0,0 +1,220 @@
+// ── Offset Calibration ────────────────────────────────────────
+// Metronome tap test for the audio offset and a flash tap test for
+// display latency; results are stored as global player settings
+
+import { saveSettings, MAX_OFFSET } from './settings.js';
+import { InputManager } from './input.js';
+import { clamp } from './utils.js';
+
+// 100 BPM
+const BEAT_MS = 600;
+// Beats before taps count, then beats whose taps are measured
+const COUNT_IN = 4;
+const TEST_BEATS = 16;
+const MIN_TAPS = 8;
+// Taps further than this from every beat are ignored (ms)
+const TAP_WINDOW = 250;
+const FLASH_MS = 90;
+
+function median(values) {
+  const v = [...values].sort((a, b) => a - b);
+  const m = v.length >> 1;
+  return v.length % 2 ? v[m] : (v[m - 1] + v[m]) / 2;
+}
+
+export class Calibration {
+  constructor(game) {
+    this.game = game;
+    this.audio = game.audio;
+    this.dom = {};
+
+    // 'audio' | 'visual' while a test runs, else null
+    this.mode = null;
+    // Per beat, on the test's clock: audio context ms when heard
+    // (audio test) or performance.now() ms when drawn (visual test)
+    this.marks = [];
+    this._drawn = [];
+    this.offsets = [];
+    this._matched = new Set();
+    this._clicks = [];
+    this._flashAt = 0;
+    this._af = 0;
+  }
+
+  init() {
+    this.dom = {
+      pad: document.getElementById('calibPad'),
+      count: document.getElementById('calibCount'),
+      step: document.getElementById('calibStep'),
+      hint: document.getElementById('calibHint'),
+      audioVal: document.getElementById('calibAudioVal'),
+      visualVal: document.getElementById('calibVisualVal'),
+    };
+
+    document.getElementById('calibAudioBtn').addEventListener('click', () => this.startAudio());
+    document.getElementById('calibVisualBtn').addEventListener('click', () => this.startVisual());
+    document.getElementById('calibDoneBtn').addEventListener('click', () => this.close());
+    document.getElementById('calibResetBtn').addEventListener('click', () => {
+      this.setOffset('audioOffset', 0);
+      this.setOffset('visualOffset', 0);
+    });
+    document.querySelectorAll('.calib-nudge').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const key = btn.dataset.key;
+        this.setOffset(key, this.game.settings[key] + parseInt(btn.dataset.delta));
+      });
+    });
+
+    // The pad is the tap target on touch screens
+    this.dom.pad.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      this.tap(InputManager.stamp(e));
+    });
+  }
+
+  open() {
+    this.stop();
+    this._show('CALIBRATION', 'RUN THE AUDIO TEST, THEN THE VISUAL TEST');
+    this._renderValues();
+  }
+
+  close() {
+    this.stop();
+    this.game.showLobby();
+  }
+
+  stop() {
+    this.mode = null;
+    cancelAnimationFrame(this._af);
+    for (const osc of this._clicks) {
+      try { osc.stop(); } catch (e) { /* already ended */ }
+    }
+    this._clicks = [];
+    this.dom.pad.classList.remove('flash', 'count', 'live');
+    this.dom.count.textContent = '';
+  }
+
+  // ── Tests ─────────────────────────────────────────────────
+
+  // Clicks on the audio clock; taps are compared with when each click is heard
+  async startAudio() {
+    this.stop();
+    this.audio.init();
+    await this.audio.resume();
+
+    const t0 = this.audio.ctx.currentTime + 0.6;
+    const beats = [];
+    for (let i = 0; i < COUNT_IN + TEST_BEATS; i++) {
+      const when = t0 + i * BEAT_MS / 1000;
+      beats.push(when);
+      this._clicks.push(this.audio.playClick(when, i < COUNT_IN || (i - COUNT_IN) % 4 === 0));
+    }
+    this.marks = beats.map(b => b * 1000);
+    this._begin('audio', 'AUDIO TEST', 'TAP A LANE KEY OR THE PAD ON EVERY CLICK \u2022 EYES CLOSED HELPS');
+  }
+
+  // Silent flashes; taps are compared with when each flash was drawn
+  startVisual() {
+    this.stop();
+    const t0 = performance.now() + 600;
+    this.marks = Array.from({ length: COUNT_IN + TEST_BEATS }, (_, i) => t0 + i * BEAT_MS);
+    this._drawn = this.marks.map(() => false);
+    this._begin('visual', 'VISUAL TEST', 'TAP A LANE KEY OR THE PAD ON EVERY FLASH');
+  }
+
+  _begin(mode, title, hint) {
+    this.mode = mode;
+    this.offsets = [];
+    this._matched = new Set();
+    this._show(title, hint);
+    this.dom.pad.classList.add('live');
+    this._loop();
+  }
+
+  // A time on the running test's clock (see marks)
+  _clock(ts) {
+    return this.mode === 'audio' ? this.audio.outputTimeAt(ts) * 1000 : ts;
+  }
+
+  tap(ts) {
+    if (!this.mode) return;
+    const t = this._clock(ts);
+
+    // Nearest measured beat that hasn't been tapped yet
+    let best = -1, bestD = Infinity;
+    for (let i = COUNT_IN; i < this.marks.length; i++) {
+      const d = t - this.marks[i];
+      if (Math.abs(d) < Math.abs(bestD)) { best = i; bestD = d; }
+    }
+    if (best < 0 || Math.abs(bestD) > TAP_WINDOW || this._matched.has(best)) return;
+
+    this._matched.add(best);
+    this.offsets.push(bestD);
+    this.dom.count.textContent = `${bestD > 0 ? '+' : ''}${Math.round(bestD)}`;
+  }
+
+  _loop() {
+    if (!this.mode) return;
+    const now = this._clock(performance.now());
+
+    if (this.mode === 'visual') {
+      // Re-stamp each flash with the frame that actually drew it
+      const i = this._drawn.findIndex((drawn, k) => !drawn && this.marks[k] <= now);
+      if (i >= 0) {
+        this._drawn[i] = true;
+        this.marks[i] = now;
+        this._flashAt = now;
+        this.dom.pad.classList.toggle('count', i < COUNT_IN);
+        this.dom.pad.classList.add('flash');
+      } else if (now - this._flashAt > FLASH_MS) {
+        this.dom.pad.classList.remove('flash');
+      }
+    }
+
+    // Count-in shows the beats left; measured beats show the last tap
+    const beat = Math.floor((now - this.marks[0]) / BEAT_MS);
+    if (beat >= 0 && beat < COUNT_IN) this.dom.count.textContent = COUNT_IN - beat;
+    else if (beat === COUNT_IN && !this.offsets.length) this.dom.count.textContent = '';
+
+    if (now > this.marks[this.marks.length - 1] + BEAT_MS) {
+      this._finish();
+      return;
+    }
+    this._af = requestAnimationFrame(() => this._loop());
+  }
+
+  _finish() {
+    const { mode, offsets } = this;
+    this.stop();
+    const title = mode === 'audio' ? 'AUDIO' : 'VISUAL';
+    if (offsets.length < MIN_TAPS) {
+      this._show(`${title} TEST`, `ONLY ${offsets.length} TAPS LANDED ON THE BEAT \u2014 TRY AGAIN`, true);
+      return;
+    }
+    const value = Math.round(median(offsets));
+    const spread = Math.round(median(offsets.map(o => Math.abs(o - value))));
+    this.setOffset(mode === 'audio' ? 'audioOffset' : 'visualOffset', value);
+    this._show(`${title} OFFSET SET`, `${value} MS \u2022 TAPS WITHIN \u00B1${spread} MS`);
+  }
+
+  // ── Values ────────────────────────────────────────────────
+
+  // Clamped and saved (the results screen applies its suggestion here too)
+  setOffset(key, value) {
+    this.game.settings[key] = clamp(value, -MAX_OFFSET, MAX_OFFSET);
+    saveSettings(this.game.settings);
+    this._renderValues();
+  }
+
+  _renderValues() {
+    const fmt = v => `${v > 0 ? '+' : ''}${v} MS`;
+    this.dom.audioVal.textContent = fmt(this.game.settings.audioOffset);
+    this.dom.visualVal.textContent = fmt(this.game.settings.visualOffset);
+  }
+
+  _show(step, hint, isError = false) {
+    this.dom.step.textContent = step;
+    this.dom.hint.textContent = hint;
+    this.dom.hint.classList.toggle('error', isError);
+  }
+}
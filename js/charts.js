@@ -0,0 +1,104 @@
+// ── Chart Import / Export ─────────────────────────────────────
+// Reads chart files from disk, matches them to catalog tracks and
+// writes the chart being played back out
+
+import { parseStepMania, serializeStepMania } from './stepmania.js';
+import { msToBeat } from './timing.js';
+import { parseOsu } from './osu.js';
+import { isHold } from './beatmap.js';
+import { downloadText, fileExt } from './utils.js';
+
+const STORAGE_KEY = 'beatrush_charts';
+
+// Meter written on export: the song's tempo stars plus a per-tier bump
+const TIER_METER = { easy: 0, normal: 2, hard: 4, expert: 6 };
+
+export const CHART_EXTENSIONS = ['.sm', '.ssc', '.osu'];
+
+function baseName(name) {
+  return name.replace(/\.[^.]+$/, '').trim().toLowerCase();
+}
+
+// Parse a chart file into { title, music, charts[] }
+export async function readChartFile(file) {
+  const ext = fileExt(file.name);
+  const text = await file.text();
+  if (ext === '.sm' || ext === '.ssc') return parseStepMania(text);
+  if (ext === '.osu') return parseOsu(text);
+  throw new Error(`Unsupported chart file "${file.name}" (expected ${CHART_EXTENSIONS.join(', ')})`);
+}
+
+// Index of the song a chart belongs to, by title or audio file name (-1 if none)
+export function findSongForChart(parsed, songs) {
+  const title = (parsed.title || '').trim().toLowerCase();
+  const music = baseName(parsed.music || '');
+  return songs.findIndex(s => {
+    const t = s.title.toLowerCase();
+    return (title && t === title) || (music && t === music);
+  });
+}
+
+// Download the chart of a run as a StepMania file
+export function exportChart(song, difficulty, notes, timing, format = 'sm') {
+  const text = serializeStepMania({
+    title: song.title,
+    music: song.file ? decodeURIComponent(song.file.split('/').pop()) : (song.fileName || ''),
+    difficulty,
+    meter: (song.difficulty || 1) + (TIER_METER[difficulty] || 0),
+    timing,
+    notes,
+  }, format);
+  downloadText(`${song.title} [${difficulty}].${format}`, text);
+}
+
+// ── Saved Charts ──────────────────────────────────────────────
+
+const round = ms => Math.round(ms * 100) / 100;
+
+// Compact note rows for storage: [t, lane] or [t, lane, end]
+export function packNotes(notes) {
+  return notes
+    .map(n => isHold(n) ? [round(n.t), n.lane, round(n.end)] : [round(n.t), n.lane])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+}
+
+// Rows → fresh playable notes, with beats derived from the timing
+export function unpackNotes(rows, timing) {
+  return rows.map(([t, lane, end]) => {
+    const note = { t, beat: msToBeat(timing, t), lane, hit: false, missed: false };
+    if (end > t) {
+      Object.assign(note, {
+        end, endBeat: msToBeat(timing, end),
+        holding: false, held: false, dropped: false,
+      });
+    }
+    return note;
+  });
+}
+
+function loadAllCharts() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch { return {}; }
+}
+
+// Edited chart for a track and tier, or null if none was saved
+export function loadLocalChart(title, difficulty) {
+  const rec = loadAllCharts()[`${title}|${difficulty}`];
+  if (!rec || !Array.isArray(rec.notes) || !rec.timing) return null;
+  return { difficulty, timing: rec.timing, notes: unpackNotes(rec.notes, rec.timing) };
+}
+
+// Returns false if storage is full or unavailable
+export function saveLocalChart(title, difficulty, chart) {
+  const all = loadAllCharts();
+  all[`${title}|${difficulty}`] = {
+    timing: chart.timing,
+    notes: packNotes(chart.notes),
+    savedAt: Date.now(),
+  };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return true;
+  } catch { return false; }
+}
@@ -0,0 +1,91 @@
+// ── IndexedDB ─────────────────────────────────────────────────
+// One database for whatever is too big or too binary for localStorage.
+// Missing stores and indexes are created on upgrade; add new ones with a
+// version bump.
+
+const DB_NAME = 'beatrush';
+const DB_VERSION = 4;
+
+// Object stores and their key paths
+const STORES = {
+  audio: 'id',     // downloaded track bytes (offline.js)
+  tracks: 'id',    // what's in `audio`, without the bytes (offline.js)
+  charts: 'key',   // generated charts (offline.js)
+  replays: 'id',   // recorded runs (replays.js)
+  runs: 'id',      // every finished run's result (runs.js)
+};
+
+// Indexes by store: name → key path
+const INDEXES = {
+  runs: { title: 'title' },
+};
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('Offline storage is not available in this browser'));
+        return;
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, keyPath] of Object.entries(STORES)) {
+          const store = db.objectStoreNames.contains(name)
+            ? req.transaction.objectStore(name)
+            : db.createObjectStore(name, { keyPath });
+          for (const [index, path] of Object.entries(INDEXES[name] || {})) {
+            if (!store.indexNames.contains(index)) store.createIndex(index, path);
+          }
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('Offline storage is blocked by another open tab'));
+    });
+    // A failed open can be retried later
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run fn(...stores) in one transaction over the named stores. Resolves
+// with the result of the request fn returns (if any) once it commits.
+export async function transact(names, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const list = [].concat(names);
+    const tx = db.transaction(list, mode);
+    const req = fn(...list.map(n => tx.objectStore(n)));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onabort = tx.onerror = () => reject(tx.error || new Error('Storage transaction failed'));
+  });
+}
+
+// Key for a record made on this device: the time, then a random tail
+export function newId() {
+  return `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36).padStart(2, '0')}`;
+}
+
+export function dbGet(store, key) {
+  return transact(store, 'readonly', s => s.get(key));
+}
+
+export function dbGetAll(store) {
+  return transact(store, 'readonly', s => s.getAll());
+}
+
+// Every record whose `index` key is `key`
+export function dbGetAllBy(store, index, key) {
+  return transact(store, 'readonly', s => s.index(index).getAll(key));
+}
+
+export function dbPut(store, value) {
+  return transact(store, 'readwrite', s => s.put(value));
+}
+
+export function dbDelete(store, key) {
+  return transact(store, 'readwrite', s => s.delete(key));
+}
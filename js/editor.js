@@ -0,0 +1,745 @@
+// ── Chart Editor ──────────────────────────────────────────────
+// Waveform timeline with a beat grid: place, move and delete notes per
+// lane with snapping, undo/redo, playback from any point and test-play
+
+import { beatToMs, msToBeat } from './timing.js';
+import { isHold } from './beatmap.js';
+import {
+  readChartFile, exportChart, packNotes, unpackNotes,
+  loadLocalChart, saveLocalChart, CHART_EXTENSIONS,
+} from './charts.js';
+import { difficultyInfo } from './songs.js';
+import { clamp, escapeHtml, hexAlpha } from './utils.js';
+
+// Lane colors (must match renderer)
+const COLS = ['#00f0ff', '#ff00ff', '#00ff88', '#ffaa00'];
+const ARROWS = ['\u2190', '\u2191', '\u2193', '\u2192'];
+
+// Grid divisions per measure, as in StepMania (1/4 = one per beat)
+const SNAPS = [4, 8, 12, 16];
+
+const RULER_H = 26;
+// Waveform resolution (min/max pairs per second of audio)
+const PEAK_RATE = 200;
+// Pixels per ms: default and zoom limits
+const ZOOM = { def: 0.25, min: 0.02, max: 2 };
+const MAX_UNDO = 200;
+// Pointer slop around a note head / hold tail (px)
+const GRAB = 9;
+
+// Min/max amplitude per bin, mixed down to mono
+function computePeaks(buffer) {
+  const bin = Math.max(1, Math.floor(buffer.sampleRate / PEAK_RATE));
+  const count = Math.ceil(buffer.length / bin);
+  const min = new Float32Array(count);
+  const max = new Float32Array(count);
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+
+  for (let i = 0; i < count; i++) {
+    let lo = 0, hi = 0;
+    const end = Math.min(buffer.length, (i + 1) * bin);
+    for (let s = i * bin; s < end; s++) {
+      let v = 0;
+      for (const ch of channels) v += ch[s];
+      v /= channels.length;
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+    min[i] = lo;
+    max[i] = hi;
+  }
+  return { min, max };
+}
+
+export class ChartEditor {
+  constructor(game) {
+    this.game = game;
+    this.audio = game.audio;
+    this.dom = {};
+
+    this.song = null;
+    this.difficulty = 'normal';
+    this.timing = null;
+    this.notes = [];
+    this.selected = null;
+    this.snap = 16;
+    this.dirty = false;
+    // Set after a first Back with unsaved changes; a second Back discards them
+    this._leaveArmed = false;
+
+    // View: left edge of the timeline (ms) and zoom (px per ms)
+    this.viewStart = 0;
+    this.pxPerMs = ZOOM.def;
+    // Where playback starts and keyboard-placed notes land (ms)
+    this.cursor = 0;
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.drag = null;
+
+    this._peaks = null;
+    this._peaksFor = null;
+    this._playing = false;
+    this._lastPlayMs = 0;
+    this._af = 0;
+    this._W = 0;
+    this._H = 0;
+  }
+
+  init() {
+    this.dom = {
+      screen: document.getElementById('editorScreen'),
+      canvas: document.getElementById('editorCv'),
+      title: document.getElementById('editorTitle'),
+      status: document.getElementById('editorStatus'),
+      snap: document.getElementById('editorSnap'),
+      playBtn: document.getElementById('editorPlayBtn'),
+      fileInput: document.getElementById('editorFileInput'),
+    };
+
+    this.dom.snap.innerHTML = SNAPS.map(s => `<option value="${s}">1/${s}</option>`).join('');
+    this.dom.snap.value = this.snap;
+    this.dom.snap.addEventListener('change', () => {
+      this.snap = parseInt(this.dom.snap.value);
+      this.dom.snap.blur();
+    });
+
+    const actions = {
+      editorPlayBtn: () => this.togglePlay(),
+      editorUndoBtn: () => this.undo(),
+      editorRedoBtn: () => this.redo(),
+      editorTestBtn: () => this.testPlay(),
+      editorSaveBtn: () => this.saveLocal(),
+      editorLoadBtn: () => this.loadLocal(),
+      editorExportBtn: () => this.exportFile(),
+      editorImportBtn: () => this.dom.fileInput.click(),
+      editorBackBtn: () => this.close(),
+    };
+    for (const [id, fn] of Object.entries(actions)) {
+      const btn = document.getElementById(id);
+      // Drop focus so Space keeps toggling playback instead of re-clicking
+      btn.addEventListener('click', () => { btn.blur(); fn(); });
+    }
+
+    this.dom.fileInput.accept = CHART_EXTENSIONS.join(',');
+    this.dom.fileInput.addEventListener('change', () => {
+      const file = this.dom.fileInput.files[0];
+      this.dom.fileInput.value = '';
+      if (file) this.loadFile(file);
+    });
+
+    const cv = this.dom.canvas;
+    cv.addEventListener('pointerdown', e => this._onPointerDown(e));
+    cv.addEventListener('pointermove', e => this._onPointerMove(e));
+    cv.addEventListener('pointerup', e => this._onPointerUp(e));
+    cv.addEventListener('pointercancel', e => this._onPointerUp(e));
+    cv.addEventListener('contextmenu', e => e.preventDefault());
+    cv.addEventListener('wheel', e => this._onWheel(e), { passive: false });
+
+    window.addEventListener('keydown', e => this._onKey(e));
+    window.addEventListener('resize', () => {
+      if (this.game.state === 'editor') this.resize();
+    });
+  }
+
+  // ── Open / Close ──────────────────────────────────────────
+
+  // chart: { difficulty, timing, notes } to start from
+  open(song, chart) {
+    this.song = song;
+    this.difficulty = chart.difficulty;
+    this.timing = chart.timing;
+    this.notes = unpackNotes(packNotes(chart.notes), chart.timing);
+    this.selected = null;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.dirty = false;
+    this._leaveArmed = false;
+    this.viewStart = -500;
+    this.cursor = 0;
+
+    // The waveform only needs recomputing when the track changes
+    if (this._peaksFor !== this.audio.buffer) {
+      this._peaks = computePeaks(this.audio.buffer);
+      this._peaksFor = this.audio.buffer;
+    }
+
+    const tier = difficultyInfo(this.difficulty);
+    this.dom.title.innerHTML = `${escapeHtml(song.title)} <span style="color:${tier.color}">${tier.label}</span>`;
+    this.setStatus(`${this.notes.length} NOTES`);
+  }
+
+  // Show the editor (also used when coming back from a test-play)
+  activate() {
+    this.resize();
+    cancelAnimationFrame(this._af);
+    this._loop();
+  }
+
+  deactivate() {
+    this.stop();
+    this.drag = null;
+    cancelAnimationFrame(this._af);
+  }
+
+  close() {
+    if (this.dirty && !this._leaveArmed) {
+      this._leaveArmed = true;
+      this.setStatus('UNSAVED CHANGES \u2014 PRESS BACK AGAIN TO DISCARD THEM', true);
+      return;
+    }
+    this.deactivate();
+    this.game.closeEditor();
+  }
+
+  resize() {
+    const cv = this.dom.canvas;
+    const dpr = window.devicePixelRatio || 1;
+    this._W = cv.clientWidth;
+    this._H = cv.clientHeight;
+    cv.width = this._W * dpr;
+    cv.height = this._H * dpr;
+  }
+
+  setStatus(text, isError = false) {
+    this.dom.status.textContent = text;
+    this.dom.status.classList.toggle('error', isError);
+  }
+
+  // The chart as Game.startGame expects it (fresh notes, beats re-derived)
+  toChart() {
+    return {
+      difficulty: this.difficulty,
+      timing: this.timing,
+      notes: unpackNotes(packNotes(this.notes), this.timing),
+    };
+  }
+
+  // ── Geometry ──────────────────────────────────────────────
+
+  get durationMs() {
+    return this.audio.duration * 1000;
+  }
+
+  get laneH() {
+    return (this._H - RULER_H) / 4;
+  }
+
+  xOf(ms) {
+    return (ms - this.viewStart) * this.pxPerMs;
+  }
+
+  msAt(x) {
+    return this.viewStart + x / this.pxPerMs;
+  }
+
+  laneAt(y) {
+    return clamp(Math.floor((y - RULER_H) / this.laneH), 0, 3);
+  }
+
+  // Grid step in beats for the active snap
+  get stepBeats() {
+    return 4 / this.snap;
+  }
+
+  snapMs(ms) {
+    const step = this.stepBeats;
+    const beat = Math.round(msToBeat(this.timing, ms) / step) * step;
+    return clamp(beatToMs(this.timing, beat), 0, this.durationMs);
+  }
+
+  // Note under the pointer and which part of it was grabbed
+  _noteAt(x, lane) {
+    let found = null;
+    for (const n of this.notes) {
+      if (n.lane !== lane) continue;
+      const hx = this.xOf(n.t);
+      if (Math.abs(x - hx) <= GRAB) return { note: n, part: 'head' };
+      if (isHold(n)) {
+        const tx = this.xOf(n.end);
+        if (Math.abs(x - tx) <= GRAB) found = { note: n, part: 'tail' };
+        else if (!found && x > hx && x < tx) found = { note: n, part: 'body' };
+      }
+    }
+    return found;
+  }
+
+  _pointer(e) {
+    const r = this.dom.canvas.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
+
+  // ── Editing ───────────────────────────────────────────────
+
+  _snapshot() {
+    return JSON.stringify({ timing: this.timing, notes: packNotes(this.notes) });
+  }
+
+  _restore(snap) {
+    const { timing, notes } = JSON.parse(snap);
+    this.timing = timing;
+    this.notes = unpackNotes(notes, timing);
+    this.selected = null;
+    this.dirty = true;
+    this.setStatus(`${this.notes.length} NOTES`);
+  }
+
+  // Record an undo step if anything changed since the `before` snapshot
+  _record(before) {
+    if (before === this._snapshot()) return;
+    this.undoStack.push(before);
+    if (this.undoStack.length > MAX_UNDO) this.undoStack.shift();
+    this.redoStack = [];
+    this.dirty = true;
+    this._leaveArmed = false;
+    this.setStatus(`${this.notes.length} NOTES`);
+  }
+
+  _edit(fn) {
+    const before = this._snapshot();
+    fn();
+    this._record(before);
+  }
+
+  undo() {
+    if (!this.undoStack.length) return;
+    this.redoStack.push(this._snapshot());
+    this._restore(this.undoStack.pop());
+  }
+
+  redo() {
+    if (!this.redoStack.length) return;
+    this.undoStack.push(this._snapshot());
+    this._restore(this.redoStack.pop());
+  }
+
+  _remove(note) {
+    this.notes = this.notes.filter(n => n !== note);
+    if (this.selected === note) this.selected = null;
+  }
+
+  deleteSelected() {
+    if (this.selected) this._edit(() => this._remove(this.selected));
+  }
+
+  // Keyboard placement: a tap at the playhead (or cursor), toggling off an existing one
+  placeNote(lane) {
+    const t = this.snapMs(this.audio.playing ? this.playheadMs : this.cursor);
+    const existing = this.notes.find(n => n.lane === lane && Math.abs(n.t - t) < 1);
+    this._edit(() => {
+      if (existing) {
+        this._remove(existing);
+      } else {
+        const note = unpackNotes([[t, lane]], this.timing)[0];
+        this.notes.push(note);
+        this.selected = note;
+      }
+    });
+  }
+
+  _setTimes(note, t, end) {
+    note.t = t;
+    note.beat = msToBeat(this.timing, t);
+    if (end > t) {
+      note.end = end;
+      note.endBeat = msToBeat(this.timing, end);
+    } else {
+      delete note.end;
+      delete note.endBeat;
+    }
+  }
+
+  _onPointerDown(e) {
+    const { x, y } = this._pointer(e);
+    this.dom.canvas.setPointerCapture(e.pointerId);
+
+    // Ruler: move the cursor (and playback, if running)
+    if (y < RULER_H) {
+      this.drag = { type: 'seek' };
+      this.seek(this.msAt(x));
+      return;
+    }
+
+    const lane = this.laneAt(y);
+    const hit = this._noteAt(x, lane);
+
+    // Right click deletes
+    if (e.button === 2) {
+      if (hit) this._edit(() => this._remove(hit.note));
+      return;
+    }
+    if (e.button !== 0) return;
+
+    const before = this._snapshot();
+    if (hit) {
+      this.selected = hit.note;
+      this.drag = hit.part === 'tail'
+        ? { type: 'tail', note: hit.note, before }
+        : { type: 'move', note: hit.note, before, grab: this.msAt(x) - hit.note.t, length: (hit.note.end ?? hit.note.t) - hit.note.t };
+    } else {
+      // Empty cell: new tap; dragging right stretches it into a hold
+      const t = this.snapMs(this.msAt(x));
+      const note = unpackNotes([[t, lane]], this.timing)[0];
+      this.notes.push(note);
+      this.selected = note;
+      this.drag = { type: 'tail', note, before };
+    }
+  }
+
+  _onPointerMove(e) {
+    const { drag } = this;
+    if (!drag) return;
+    const { x, y } = this._pointer(e);
+    const ms = this.msAt(x);
+
+    if (drag.type === 'seek') {
+      this.seek(ms);
+    } else if (drag.type === 'move') {
+      const t = this.snapMs(ms - drag.grab);
+      drag.note.lane = this.laneAt(y);
+      this._setTimes(drag.note, t, drag.length > 0 ? Math.min(this.durationMs, t + drag.length) : null);
+    } else if (drag.type === 'tail') {
+      // Anything shorter than half a grid step stays a tap
+      const end = this.snapMs(ms);
+      const minLen = beatToMs(this.timing, msToBeat(this.timing, drag.note.t) + this.stepBeats / 2) - drag.note.t;
+      this._setTimes(drag.note, drag.note.t, end - drag.note.t >= minLen ? end : null);
+    }
+  }
+
+  _onPointerUp(e) {
+    const { drag } = this;
+    if (!drag) return;
+    this.drag = null;
+    if (this.dom.canvas.hasPointerCapture(e.pointerId)) this.dom.canvas.releasePointerCapture(e.pointerId);
+    if (drag.before) {
+      // Dropping a note onto another in the same lane replaces it
+      const { note } = drag;
+      this.notes = this.notes.filter(n => n === note || n.lane !== note.lane || Math.abs(n.t - note.t) >= 1);
+      this._record(drag.before);
+    }
+  }
+
+  _onWheel(e) {
+    e.preventDefault();
+    if (e.ctrlKey || e.metaKey) {
+      // Zoom around the pointer
+      const { x } = this._pointer(e);
+      const at = this.msAt(x);
+      this.pxPerMs = clamp(this.pxPerMs * Math.exp(-e.deltaY * 0.002), ZOOM.min, ZOOM.max);
+      this.viewStart = at - x / this.pxPerMs;
+    } else {
+      const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
+      this.viewStart += delta / this.pxPerMs;
+    }
+    this._clampView();
+  }
+
+  _clampView() {
+    const span = this._W / this.pxPerMs;
+    this.viewStart = clamp(this.viewStart, -span * 0.5, Math.max(0, this.durationMs - span * 0.5));
+  }
+
+  _onKey(e) {
+    if (this.game.state !== 'editor' || e.target.closest?.('select, input')) return;
+    const key = e.key.toLowerCase();
+    const mod = e.ctrlKey || e.metaKey;
+
+    if (mod && key === 'z') {
+      e.preventDefault();
+      if (e.shiftKey) this.redo(); else this.undo();
+    } else if (mod && key === 'y') {
+      e.preventDefault();
+      this.redo();
+    } else if (key === 'delete' || key === 'backspace') {
+      e.preventDefault();
+      this.deleteSelected();
+    } else if (key === ',' || key === '.') {
+      // Step the cursor one grid line
+      const beat = msToBeat(this.timing, this.cursor) + (key === ',' ? -this.stepBeats : this.stepBeats);
+      this.seek(this.snapMs(beatToMs(this.timing, beat)));
+    } else if (key === 'home') {
+      this.seek(0);
+    } else if (key >= '1' && key <= '4' && !mod) {
+      this.dom.snap.value = this.snap = SNAPS[key - 1];
+    }
+  }
+
+  // ── Playback ──────────────────────────────────────────────
+
+  get playheadMs() {
+    return this.audio.playing ? Math.max(this.cursor, this.audio.songMsAt()) : this.cursor;
+  }
+
+  togglePlay() {
+    if (this.audio.playing) this.stop();
+    else this.play();
+  }
+
+  play() {
+    this.audio.resume();
+    this.audio.play(clamp(this.cursor, 0, this.durationMs) / 1000);
+    this._lastPlayMs = this.cursor;
+    this._playing = true;
+    this.dom.playBtn.textContent = 'STOP';
+  }
+
+  // Stopping leaves the cursor where playback was
+  stop() {
+    if (this.audio.playing) this.cursor = this.playheadMs;
+    this.audio.stop();
+    this._playing = false;
+    this.dom.playBtn.textContent = 'PLAY';
+  }
+
+  seek(ms) {
+    this.cursor = clamp(ms, 0, this.durationMs);
+    if (this.audio.playing) this.play();
+    // Keep the cursor on screen
+    const x = this.xOf(this.cursor);
+    if (x < 0 || x > this._W) {
+      this.viewStart = this.cursor - this._W * 0.25 / this.pxPerMs;
+      this._clampView();
+    }
+  }
+
+  testPlay() {
+    if (!this.notes.length) {
+      this.setStatus('NOTHING TO PLAY \u2014 PLACE SOME NOTES FIRST', true);
+      return;
+    }
+    this.deactivate();
+    this.game.testChart(this.toChart());
+  }
+
+  // ── Save / Load ───────────────────────────────────────────
+
+  saveLocal() {
+    if (saveLocalChart(this.song.title, this.difficulty, this.toChart())) {
+      this.dirty = false;
+      this._leaveArmed = false;
+      this.setStatus('SAVED TO THIS BROWSER');
+    } else {
+      this.setStatus('SAVE FAILED \u2014 BROWSER STORAGE IS FULL OR BLOCKED', true);
+    }
+  }
+
+  loadLocal() {
+    const chart = loadLocalChart(this.song.title, this.difficulty);
+    if (!chart) {
+      this.setStatus('NO SAVED CHART FOR THIS TRACK AND TIER', true);
+      return;
+    }
+    this._replace(chart);
+    this.setStatus(`LOADED ${this.notes.length} NOTES`);
+  }
+
+  exportFile() {
+    const { notes, timing } = this.toChart();
+    exportChart(this.song, this.difficulty, notes, timing);
+  }
+
+  async loadFile(file) {
+    try {
+      const parsed = await readChartFile(file);
+      const chart = parsed.charts.find(c => c.difficulty === this.difficulty) || parsed.charts[0];
+      this._replace(chart);
+      this.setStatus(`LOADED ${this.notes.length} NOTES FROM ${file.name.toUpperCase()}`);
+    } catch (err) {
+      console.error('Chart load failed:', file.name, err);
+      this.setStatus(err.message, true);
+    }
+  }
+
+  // Swap in another chart's timing and notes as one undoable step
+  _replace(chart) {
+    this._edit(() => {
+      this.timing = chart.timing;
+      this.notes = unpackNotes(packNotes(chart.notes), chart.timing);
+      this.selected = null;
+    });
+  }
+
+  // ── Rendering ─────────────────────────────────────────────
+
+  _loop() {
+    if (this.game.state !== 'editor') return;
+
+    if (this.audio.playing) {
+      const now = this.playheadMs;
+      // Tick for every note the playhead crosses
+      for (const n of this.notes) {
+        if (n.t > this._lastPlayMs && n.t <= now) this.audio.playHit(n.lane);
+      }
+      this._lastPlayMs = now;
+
+      // Page along with playback
+      const x = this.xOf(now);
+      if (x > this._W * 0.8 || x < 0) this.viewStart = now - this._W * 0.2 / this.pxPerMs;
+    } else if (this._playing) {
+      // Reached the end of the track
+      this._playing = false;
+      this.dom.playBtn.textContent = 'PLAY';
+    }
+
+    try {
+      this.draw();
+    } catch (e) {
+      console.error('Editor render error:', e);
+    }
+    this._af = requestAnimationFrame(() => this._loop());
+  }
+
+  draw() {
+    const ctx = this.dom.canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    const W = this._W, H = this._H;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, W, H);
+
+    this._drawLanes(ctx, W, H);
+    this._drawWaveform(ctx, W, H);
+    this._drawGrid(ctx, W, H);
+    this._drawNotes(ctx, W);
+    this._drawPlayhead(ctx, H);
+  }
+
+  _drawLanes(ctx, W, H) {
+    const lh = this.laneH;
+    for (let l = 0; l < 4; l++) {
+      ctx.fillStyle = hexAlpha(COLS[l], l % 2 ? 0.04 : 0.07);
+      ctx.fillRect(0, RULER_H + l * lh, W, lh);
+    }
+    ctx.fillStyle = 'rgba(255,255,255,0.05)';
+    ctx.fillRect(0, 0, W, RULER_H);
+
+    // Outside the track
+    ctx.fillStyle = 'rgba(0,0,0,0.45)';
+    const x0 = this.xOf(0);
+    const x1 = this.xOf(this.durationMs);
+    if (x0 > 0) ctx.fillRect(0, 0, x0, H);
+    if (x1 < W) ctx.fillRect(x1, 0, W - x1, H);
+  }
+
+  _drawWaveform(ctx, W, H) {
+    const { min, max } = this._peaks;
+    const mid = RULER_H + (H - RULER_H) / 2;
+    const amp = (H - RULER_H) / 2 * 0.9;
+    const perPx = PEAK_RATE / 1000 / this.pxPerMs;
+
+    ctx.fillStyle = 'rgba(139,92,246,0.35)';
+    ctx.beginPath();
+    for (let x = 0; x < W; x++) {
+      const a = Math.floor(this.msAt(x) * PEAK_RATE / 1000);
+      const b = Math.max(a + 1, Math.floor(a + perPx));
+      if (b <= 0 || a >= min.length) continue;
+      let lo = 0, hi = 0;
+      for (let i = Math.max(0, a); i < b && i < min.length; i++) {
+        if (min[i] < lo) lo = min[i];
+        if (max[i] > hi) hi = max[i];
+      }
+      ctx.rect(x, mid - hi * amp, 1, Math.max(1, (hi - lo) * amp));
+    }
+    ctx.fill();
+  }
+
+  _drawGrid(ctx, W, H) {
+    const step = this.stepBeats;
+    const endMs = this.msAt(W);
+    let beat = Math.floor(msToBeat(this.timing, this.msAt(0)) / step) * step;
+    // Skip subdivisions when zoomed out too far to tell them apart
+    const beatPx = (beatToMs(this.timing, beat + 1) - beatToMs(this.timing, beat)) * this.pxPerMs;
+    const showSub = beatPx * step >= 6;
+
+    ctx.font = '600 9px "Exo 2", monospace';
+    ctx.textBaseline = 'middle';
+    for (let guard = 0; guard < 5000; guard++, beat += step) {
+      const ms = beatToMs(this.timing, beat);
+      if (ms > endMs) break;
+      const b = Math.round(beat * 1000) / 1000;
+      const isBeat = Number.isInteger(b);
+      const isMeasure = isBeat && b % 4 === 0;
+      if (!isBeat && !showSub) continue;
+      if (isBeat && !isMeasure && beatPx < 4) continue;
+
+      const x = Math.round(this.xOf(ms)) + 0.5;
+      ctx.strokeStyle = isMeasure ? 'rgba(255,255,255,0.35)'
+        : isBeat ? 'rgba(255,255,255,0.14)' : 'rgba(255,255,255,0.05)';
+      ctx.beginPath();
+      ctx.moveTo(x, isMeasure ? 0 : RULER_H);
+      ctx.lineTo(x, H);
+      ctx.stroke();
+
+      if (isMeasure) {
+        ctx.fillStyle = 'rgba(255,255,255,0.5)';
+        ctx.fillText(String(b / 4 + 1), x + 4, RULER_H / 2);
+      }
+    }
+  }
+
+  _drawNotes(ctx, W) {
+    const lh = this.laneH;
+    const sz = Math.min(22, lh * 0.6);
+    ctx.font = `700 ${Math.round(sz * 0.7)}px "Exo 2", monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (const n of this.notes) {
+      const x = this.xOf(n.t);
+      const xe = isHold(n) ? this.xOf(n.end) : x;
+      if (xe < -sz || x > W + sz) continue;
+      const y = RULER_H + n.lane * lh + lh / 2;
+      const c = COLS[n.lane];
+      const sel = n === this.selected;
+
+      if (isHold(n)) {
+        ctx.fillStyle = hexAlpha(c, sel ? 0.55 : 0.35);
+        ctx.fillRect(x, y - sz * 0.25, xe - x, sz * 0.5);
+        ctx.fillStyle = c;
+        ctx.fillRect(xe - 2, y - sz * 0.4, 4, sz * 0.8);
+      }
+
+      ctx.fillStyle = sel ? '#ffffff' : c;
+      ctx.shadowColor = c;
+      ctx.shadowBlur = sel ? 14 : 6;
+      ctx.beginPath();
+      ctx.roundRect(x - sz / 2, y - sz / 2, sz, sz, 4);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = '#0a0a1a';
+      ctx.fillText(ARROWS[n.lane], x, y + 1);
+    }
+    ctx.textAlign = 'left';
+  }
+
+  _drawPlayhead(ctx, H) {
+    // Cursor (playback start) and, while playing, the playhead
+    const cx = Math.round(this.xOf(this.cursor)) + 0.5;
+    ctx.strokeStyle = 'rgba(255,170,0,0.8)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(cx, 0);
+    ctx.lineTo(cx, H);
+    ctx.stroke();
+    ctx.fillStyle = '#ffaa00';
+    ctx.beginPath();
+    ctx.moveTo(cx - 5, 0);
+    ctx.lineTo(cx + 5, 0);
+    ctx.lineTo(cx, 7);
+    ctx.fill();
+
+    if (this.audio.playing) {
+      const px = Math.round(this.xOf(this.playheadMs)) + 0.5;
+      ctx.strokeStyle = '#00f0ff';
+      ctx.lineWidth = 2;
+      ctx.shadowColor = '#00f0ff';
+      ctx.shadowBlur = 10;
+      ctx.beginPath();
+      ctx.moveTo(px, 0);
+      ctx.lineTo(px, H);
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+      ctx.lineWidth = 1;
+    }
+  }
+}
@@ -1,39 +1,121 @@
 // ── Game State Machine ────────────────────────────────────────
-// States: menu → songSelect → loading → playing → results
+// States: menu → songSelect → loading → playing → results (editor ⇄ playing for test-plays)
 
-import { SONGS, DIFF_COLORS } from './songs.js';
+import { SONGS, DIFF_COLORS, DIFFICULTIES, AUDIO_EXTENSIONS, difficultyInfo, localSong } from './songs.js';
 import { AudioManager } from './audio.js';
-import { generateBeatMap } from './beatmap.js';
+import { generateBeatMap, isHold, cloneNotes, chartTiming, chartSections } from './beatmap.js';
+import { beatsBetween, beatPulseAt, beatLength, msToBeat } from './timing.js';
+import { readChartFile, findSongForChart, exportChart, loadLocalChart, CHART_EXTENSIONS } from './charts.js';
+import { ChartEditor } from './editor.js';
+import { Calibration } from './calibration.js';
+import { Practice } from './practice.js';
+import { RunHistory } from './history.js';
+import { recordRun } from './runs.js';
+import { AutoPlayer, AUTO_ERRORS } from './autoplay.js';
+import { SongPreview } from './preview.js';
+import { loadSettings, saveSettings } from './settings.js';
+import { SPEEDS, MODIFIERS, normalizeMods, toggleMod, stepRate, activeMods, scoreMultiplier, modsTag, laneMap, remapLanes } from './modifiers.js';
+import { analyzeAudio } from './analysis.js';
+import { detectTempo } from './tempo.js';
+import { detectKey } from './key.js';
+import { loadTrackMeta, saveTrackMeta } from './trackmeta.js';
+import { loadCachedAudio, cacheAudio, loadCachedChart, cacheChart, listCachedTracks, evictTrack, requestPersistence } from './offline.js';
 import { EffectsManager } from './effects.js';
 import { InputManager } from './input.js';
 import { Renderer } from './renderer.js';
-import { clamp, easeOutCubic } from './utils.js';
-import { loadScore, loadAllScores, saveScore, getGrade, GRADE_COLORS } from './scores.js';
+import { clamp, easeOutCubic, escapeHtml, fileExt, formatBytes, formatClock, sampleSeries } from './utils.js';
+import { loadScore, loadAllScores, saveScore, scoreKey, accuracyOf, getGrade, GRADE_COLORS } from './scores.js';
+import { createTimeline, runAccuracy, ghostDelta } from './ghost.js';
+import { hitErrorStats, drawHitHistogram } from './hiterrors.js';
+import { createTrace, RunGraph } from './rungraph.js';
+import { exportBackup, readBackupFile, restoreBackup, BACKUP_EXTENSION } from './backup.js';
+import { quantizeMs, replayableNotes, createReplay, openReplay, validateReplay, listReplays, saveReplay, deleteReplay, exportReplay, readReplayFile, REPLAY_EXTENSION } from './replays.js';
 
 // Timing windows (ms)
 const WIN = { p: 50, g: 100, k: 150 };
-// Points per judgment
-const PTS = { p: 350, g: 200, k: 100 };
+// Letting go of a hold this close to its tail still counts as held (ms)
+const HOLD_RELEASE = 150;
+// Points per judgment (h = completed hold tail)
+const PTS = { p: 350, g: 200, k: 100, h: 150 };
 // Travel time for notes (ms)
 const TRAVEL = 2200;
+// Silence before the track starts (s)
+const LEAD_IN = 0.8;
+// Practice: count-in clicks before each loop, and how long the loop runs
+// on past B so its last notes can still be judged (real ms)
+const COUNT_IN = 4;
+const LOOP_TAIL = 600;
+// Attract mode: lobby idle time before a demo starts, how long it plays,
+// and its autoplay error spread (ms)
+const ATTRACT_IDLE = 45000;
+const DEMO_MS = 40000;
+const DEMO_ERROR = 15;
+// Replays: playback speeds offered, and how far the arrow keys seek (ms)
+const REPLAY_SPEEDS = [0.5, 1, 2];
+const REPLAY_SEEK = 5000;
+// Lane colors (must match renderer)
+const LANE_COLS = ['#00f0ff', '#ff00ff', '#00ff88', '#ffaa00'];
+// Hits needed before the results screen suggests an audio offset
+const OFFSET_MIN_HITS = 20;
+
+// Judgment counts for a run (or one lane of it)
+function emptyStats() {
+  return { perfect: 0, great: 0, good: 0, miss: 0, held: 0, dropped: 0 };
+}
 
 export class Game {
   constructor() {
     this.state = 'menu';
     this.audio = new AudioManager();
+    this.preview = new SongPreview(this.audio);
     this.effects = new EffectsManager();
     this.input = new InputManager();
     this.renderer = null;
+    // Catalog tracks followed by any local files added this session
+    this.songs = [...SONGS];
     this.selectedSong = 0;
+    this.selectedDifficulty = 'normal';
     this.paused = false;
-    this.pauseTime = 0;
     this.isTouchDevice = false;
 
     // Gameplay data
     this.gd = null;
+    // Track whose audio is decoded in the AudioManager, and its offline
+    // analysis (drives chart generation)
+    this.loadedSong = null;
+    this.analysis = null;
+    // Imported chart played in place of the generated one (null = generated)
+    this.customChart = null;
+    // Catalog tracks kept for offline play ({ id: audio URL, title, size }),
+    // saved replays (newest first), and what the lobby's lower panel shows:
+    // 'runs' (best runs), 'storage' or 'replays'
+    this.cachedTracks = [];
+    this.replays = [];
+    this.lowerPanel = 'runs';
+    // Chart editor; runs launched from it return there instead of the lobby
+    this.editor = new ChartEditor(this);
+    this.editing = false;
+    // Player offsets (see settings.js), tuned on the calibration screen
+    this.settings = loadSettings();
+    this.calibration = new Calibration(this);
+    // A-B loop setup; loops run here as practice runs (gd.practice)
+    this.practice = new Practice(this);
+    // Per-track run history screen
+    this.history = new RunHistory(this);
+    // Autoplay error spread (ms) for the next runs, or null to play yourself
+    this.autoplay = null;
+    // Presses the lanes during an autoplayed run (AutoPlayer)
+    this.auto = null;
+    // Lobby idle timer, and whether the next run is the attract demo
+    this._attractTimer = 0;
+    this._demoNext = false;
+    // Gameplay modifiers picked in the lobby (see modifiers.js), kept with the settings
+    this.mods = normalizeMods(this.settings.modifiers);
 
     // DOM refs (set in init)
     this.dom = {};
+    // Results screen timeline (set in init)
+    this.runGraph = null;
 
     // Animation frame IDs
     this._bgAF = 0;
@@ -47,9 +129,26 @@ export class Game {
       lobbyScreen: document.getElementById('lobbyScreen'),
       loadingScreen: document.getElementById('loadingScreen'),
       resultsScreen: document.getElementById('resultsScreen'),
+      editorScreen: document.getElementById('editorScreen'),
+      calibrationScreen: document.getElementById('calibrationScreen'),
+      practiceScreen: document.getElementById('practiceScreen'),
+      historyScreen: document.getElementById('historyScreen'),
       touchBar: document.getElementById('touchBar'),
       songList: document.getElementById('songList'),
       bestRunsList: document.getElementById('bestRunsList'),
+      storageList: document.getElementById('storageList'),
+      replayList: document.getElementById('replayList'),
+      lowerPanelLabel: document.getElementById('lowerPanelLabel'),
+      storageBtn: document.getElementById('storageBtn'),
+      replaysBtn: document.getElementById('replaysBtn'),
+      replayFileInput: document.getElementById('replayFileInput'),
+      backupFileInput: document.getElementById('backupFileInput'),
+      replayBar: document.getElementById('replayBar'),
+      replayPauseBtn: document.getElementById('replayPauseBtn'),
+      replaySpeeds: document.getElementById('replaySpeeds'),
+      replaySeek: document.getElementById('replaySeek'),
+      replayTime: document.getElementById('replayTime'),
+      modBar: document.getElementById('modBar'),
       loadingBar: document.getElementById('loadingBar'),
       loadingText: document.getElementById('loadingText'),
       loadingSongName: document.getElementById('loadingSongName'),
@@ -57,12 +156,26 @@ export class Game {
       accText: document.getElementById('accText'),
       scoreText: document.getElementById('scoreText'),
       statsGrid: document.getElementById('statsGrid'),
+      ghostCompare: document.getElementById('ghostCompare'),
+      analysisPanel: document.getElementById('analysisPanel'),
+      hitHistogram: document.getElementById('hitHistogram'),
+      hitSummary: document.getElementById('hitSummary'),
+      hitSplit: document.getElementById('hitSplit'),
+      hitLanes: document.getElementById('hitLanes'),
+      applyOffsetBtn: document.getElementById('applyOffsetBtn'),
       songPlayed: document.getElementById('songPlayed'),
       newHighScore: document.getElementById('newHighScore'),
       pauseOverlay: document.getElementById('pauseOverlay'),
+      lobbyStatus: document.getElementById('lobbyStatus'),
+      chartFileInput: document.getElementById('chartFileInput'),
+      audioFileInput: document.getElementById('audioFileInput'),
+      trackSelectBtn: document.getElementById('trackSelectBtn'),
+      pauseQuitBtn: document.getElementById('pauseQuitBtn'),
+      pauseRestartBtn: document.getElementById('pauseRestartBtn'),
     };
 
     this.renderer = new Renderer(this.dom.bgCv, this.dom.gameCv);
+    this.runGraph = new RunGraph(document.getElementById('runGraph'), document.getElementById('graphReadout'));
 
     // Resize canvases
     this.renderer.resize(this.dom.bgCv);
@@ -81,15 +194,102 @@ export class Game {
 
     // Input setup
     this.input.init();
-    this.input.setupTouchButtons(this.dom.touchBar, lane => this.tryHit(lane));
+    this.input.setupTouchButtons(this.dom.touchBar, (lane, ts) => this.tryHit(lane, ts), (lane, ts) => this.releaseHold(lane, ts));
 
     // Button events
     document.getElementById('retryBtn').addEventListener('click', () => this._retrySong());
-    document.getElementById('trackSelectBtn').addEventListener('click', () => this.showLobby());
+    this.dom.trackSelectBtn.addEventListener('click', () => this._leaveRun());
     document.getElementById('resumeBtn').addEventListener('click', () => this.resumeGame());
-    document.getElementById('pauseQuitBtn').addEventListener('click', () => this._quitToTracks());
+    this.dom.pauseQuitBtn.addEventListener('click', () => this._quitToTracks());
+    this.dom.pauseRestartBtn.addEventListener('click', () => {
+      this.resumeGame();
+      this._startLoop();
+    });
+    document.getElementById('exportChartBtn').addEventListener('click', () => this._exportChart());
+
+    // Chart import
+    this.dom.chartFileInput.accept = CHART_EXTENSIONS.join(',');
+    document.getElementById('importChartBtn').addEventListener('click', () => this.dom.chartFileInput.click());
+    this.dom.chartFileInput.addEventListener('change', () => {
+      const file = this.dom.chartFileInput.files[0];
+      this.dom.chartFileInput.value = '';
+      if (file) this.importChart(file);
+    });
+
+    // Local audio: file picker, or drop files anywhere on the lobby
+    this.dom.audioFileInput.accept = ['audio/*', ...AUDIO_EXTENSIONS].join(',');
+    document.getElementById('addAudioBtn').addEventListener('click', () => this.dom.audioFileInput.click());
+    this.dom.audioFileInput.addEventListener('change', () => {
+      const file = this.dom.audioFileInput.files[0];
+      this.dom.audioFileInput.value = '';
+      if (file) this.addLocalTrack(file);
+    });
+    this._setupDropZone();
+
+    // Chart editor
+    this.editor.init();
+    document.getElementById('editorBtn').addEventListener('click', () => this.openEditor(this.selectedSong));
+
+    // Offset calibration
+    this.calibration.init();
+    document.getElementById('calibrateBtn').addEventListener('click', () => this.openCalibration());
+
+    // Practice loops
+    this.practice.init();
+    document.getElementById('practiceBtn').addEventListener('click', () => this.openPractice(this.selectedSong));
+
+    // Run history
+    this.history.init();
+    document.getElementById('historyBtn').addEventListener('click', () => this.history.open(this.songs[this.selectedSong]));
+
+    // Attract demo after the lobby sits idle; any input ends the demo
+    for (const type of ['keydown', 'pointerdown', 'pointermove', 'wheel']) {
+      window.addEventListener(type, () => {
+        if (this.state === 'lobby') {
+          this._demoNext = false;
+          this._armAttract();
+        } else if (type === 'pointermove') return;
+        else if (this.state === 'loading' && this._demoNext) this.showLobby();
+        else if (this.state === 'playing' && this.gd && this.gd.demo) this._endDemo();
+      }, { passive: true });
+    }
+
+    // Lower panel: offline storage and replays take the best runs' place
+    this.dom.storageBtn.addEventListener('click', () => this.setLowerPanel('storage'));
+    this.dom.replaysBtn.addEventListener('click', () => this.setLowerPanel('replays'));
+    this.refreshStorage();
+
+    // Replays: import, and the playback bar
+    this.dom.replayFileInput.accept = `${REPLAY_EXTENSION},application/json`;
+    document.getElementById('importReplayBtn').addEventListener('click', () => this.dom.replayFileInput.click());
+    this.dom.replayFileInput.addEventListener('change', () => {
+      const file = this.dom.replayFileInput.files[0];
+      this.dom.replayFileInput.value = '';
+      if (file) this.importReplay(file);
+    });
+    this.dom.replayPauseBtn.addEventListener('click', () => this._toggleReplayPause());
+    this.dom.replaySeek.addEventListener('input', () => this._seekReplay(+this.dom.replaySeek.value));
+    document.getElementById('replayExitBtn').addEventListener('click', () => this._quitToTracks());
+    this.dom.replaySpeeds.innerHTML = REPLAY_SPEEDS.map(v =>
+      `<button class="mod-chip" data-speed="${v}">${v}\u00D7</button>`
+    ).join('');
+    this.dom.replaySpeeds.querySelectorAll('[data-speed]').forEach(chip => {
+      chip.addEventListener('click', () => this._setReplaySpeed(+chip.dataset.speed));
+    });
+    this.refreshReplays();
+
+    // Backup of scores, history, settings and replays, and restoring one
+    document.getElementById('backupBtn').addEventListener('click', () => this.exportBackup());
+    this.dom.backupFileInput.accept = `${BACKUP_EXTENSION},application/json`;
+    document.getElementById('restoreBtn').addEventListener('click', () => this.dom.backupFileInput.click());
+    this.dom.backupFileInput.addEventListener('change', () => {
+      const file = this.dom.backupFileInput.files[0];
+      this.dom.backupFileInput.value = '';
+      if (file) this.importBackup(file);
+    });
 
     // Build lobby
+    this.buildModBar();
     this.buildSongList();
     this.buildBestRuns();
 
@@ -104,10 +304,15 @@ export class Game {
 
   showView(view) {
     this.state = view;
+    if (view !== 'lobby') this.preview.stop();
     const screens = {
       lobby: this.dom.lobbyScreen,
       loading: this.dom.loadingScreen,
       results: this.dom.resultsScreen,
+      editor: this.dom.editorScreen,
+      calibration: this.dom.calibrationScreen,
+      practice: this.dom.practiceScreen,
+      history: this.dom.historyScreen,
     };
 
     // Toggle screen overlays with CSS transitions (active class = visible)
@@ -117,11 +322,14 @@ export class Game {
 
     // Game canvas
     this.dom.gameCv.classList.toggle('visible', view === 'playing');
+    // Replays get their playback bar (and a cursor to use it) instead of lanes
+    const watching = view === 'playing' && !!(this.gd && this.gd.replay);
+    this.dom.replayBar.hidden = !watching;
     // Show touch bar on touch devices during gameplay
-    this.dom.touchBar.style.display = (view === 'playing' && this.isTouchDevice) ? 'flex' : 'none';
+    this.dom.touchBar.style.display = (view === 'playing' && !watching && this.isTouchDevice) ? 'flex' : 'none';
 
     // Cursor management
-    document.body.classList.toggle('gameplay-active', view === 'playing');
+    document.body.classList.toggle('gameplay-active', view === 'playing' && !watching);
 
     // Hide pause overlay when leaving gameplay
     if (view !== 'playing') {
@@ -134,21 +342,60 @@ export class Game {
   }
 
   _configureInput(view) {
+    this.input.onRelease = view === 'playing' ? (lane, ts) => this.releaseHold(lane, ts) : null;
     if (view === 'lobby') {
       this.input.onHit = null;
       this.input.onNav = dir => this.navigateSongs(dir);
       this.input.onSelect = () => this.selectSong(this.selectedSong);
       this.input.onBack = null;
-    } else if (view === 'playing') {
+    } else if (view === 'playing' && this.gd && this.gd.replay) {
+      // Space/Enter pause, left/right seek, Escape leaves
+      this.input.onRelease = null;
+      this.input.onHit = null;
+      this.input.onNav = dir => {
+        if (dir === 'left' || dir === 'right') this._seekReplay(this.gd.replay.at + (dir === 'left' ? -REPLAY_SEEK : REPLAY_SEEK));
+      };
+      this.input.onSelect = () => this._toggleReplayPause();
+      this.input.onBack = () => this._quitToTracks();
+    } else if (view === 'playing' && this.gd && this.gd.auto != null) {
+      // Autoplay presses the lanes; Escape still pauses (demos end on any input)
+      this.input.onRelease = null;
       this.input.onNav = null;
-      this.input.onHit = lane => this.tryHit(lane);
+      this.input.onHit = null;
       this.input.onSelect = null;
+      this.input.onBack = this.gd.demo ? null : () => this.togglePause();
+    } else if (view === 'playing') {
+      this.input.onNav = null;
+      this.input.onHit = (lane, ts) => this.tryHit(lane, ts);
+      // Practice: Enter/Space starts the loop over
+      this.input.onSelect = this.gd && this.gd.practice ? () => this._startLoop() : null;
       this.input.onBack = () => this.togglePause();
     } else if (view === 'results') {
       this.input.onNav = null;
       this.input.onHit = null;
       this.input.onSelect = () => this._retrySong();
-      this.input.onBack = () => this.showLobby();
+      this.input.onBack = () => this._leaveRun();
+    } else if (view === 'editor') {
+      // Lane keys drop notes at the playhead; Space/Enter toggle playback
+      this.input.onNav = null;
+      this.input.onHit = lane => this.editor.placeNote(lane);
+      this.input.onSelect = () => this.editor.togglePlay();
+      this.input.onBack = () => this.editor.close();
+    } else if (view === 'calibration') {
+      this.input.onNav = null;
+      this.input.onHit = (lane, ts) => this.calibration.tap(ts);
+      this.input.onSelect = null;
+      this.input.onBack = () => this.calibration.close();
+    } else if (view === 'practice') {
+      this.input.onNav = null;
+      this.input.onHit = null;
+      this.input.onSelect = () => this.practice.begin();
+      this.input.onBack = () => this.practice.close();
+    } else if (view === 'history') {
+      this.input.onNav = null;
+      this.input.onHit = null;
+      this.input.onSelect = null;
+      this.input.onBack = () => this.history.close();
     } else {
       this.input.onNav = null;
       this.input.onHit = null;
@@ -158,10 +405,14 @@ export class Game {
   }
 
   showLobby() {
+    this.editing = false;
+    this._demoNext = false;
+    this.setLobbyStatus('');
     this.buildSongList();
     this.buildBestRuns();
     this.showView('lobby');
     this.highlightSong(this.selectedSong);
+    this._armAttract();
     this.bgLoop();
   }
 
@@ -171,7 +422,7 @@ export class Game {
     const allScores = loadAllScores();
     this.dom.songList.innerHTML = '';
 
-    SONGS.forEach((song, i) => {
+    this.songs.forEach((song, i) => {
       const card = document.createElement('div');
       card.className = 'song-card';
       card.dataset.index = i;
@@ -179,8 +430,9 @@ export class Game {
       const diffColor = DIFF_COLORS[song.difficulty];
       const stars = '\u2605'.repeat(song.difficulty) + '\u2606'.repeat(5 - song.difficulty);
 
-      // High score data
-      const hs = allScores[song.title];
+      // High score data for the selected tier at the selected rate
+      const { rate } = this.mods;
+      const hs = allScores[scoreKey(song.title, this.selectedDifficulty, rate)];
       let gradeHtml = '';
       let hsHtml = '';
       if (hs) {
@@ -191,17 +443,28 @@ export class Game {
 
       card.innerHTML = `
         <div class="song-card-left">
-          <div class="song-title">${song.title}${gradeHtml}</div>
-          <div class="song-meta">${song.key} \u2022 ${song.camelot}</div>
+          <div class="song-title">${escapeHtml(song.title)}${gradeHtml}</div>
+          <div class="song-meta">${song.local ? 'LOCAL \u2022 ' : ''}${song.key ? `${song.key} \u2022 ${song.camelot}` : 'KEY UNKNOWN'}${this._isCached(song) ? '<span class="song-offline">OFFLINE</span>' : ''}</div>
         </div>
         <div class="song-card-right">
-          <div class="song-bpm">${song.bpm} <span class="bpm-label">BPM</span></div>
+          <div class="song-bpm">${Math.round(song.bpm * rate)} <span class="bpm-label">BPM</span></div>
           <div class="song-difficulty" style="color:${diffColor}">${stars}</div>
-          <div class="song-diff-label" style="color:${diffColor}">${song.diffLabel}</div>
+          <div class="diff-picker">${DIFFICULTIES.map(d => `
+            <button class="diff-chip${d.id === this.selectedDifficulty ? ' active' : ''}" data-diff="${d.id}"
+              style="--chip:${d.color}" title="${d.label}">${d.short}</button>`).join('')}
+          </div>
           ${hsHtml}
         </div>
       `;
 
+      // Tier chips pick the chart without starting the song
+      card.querySelectorAll('.diff-chip').forEach(chip => {
+        chip.addEventListener('click', e => {
+          e.stopPropagation();
+          this.highlightSong(i);
+          this.setDifficulty(chip.dataset.diff);
+        });
+      });
       card.addEventListener('click', () => this.selectSong(i));
       card.addEventListener('mouseenter', () => this.highlightSong(i));
       this.dom.songList.appendChild(card);
@@ -219,15 +482,17 @@ export class Game {
       return;
     }
 
-    this.dom.bestRunsList.innerHTML = entries.map(([title, rec], i) => {
+    this.dom.bestRunsList.innerHTML = entries.map(([, rec], i) => {
       const gc = GRADE_COLORS[rec.grade] || '#556677';
-      const songIdx = SONGS.findIndex(s => s.title === title);
+      const songIdx = this.songs.findIndex(s => s.title === rec.title);
+      const diff = difficultyInfo(rec.difficulty);
+      const tag = modsTag(rec);
       return `
-        <div class="best-run-card" data-song="${songIdx}">
+        <div class="best-run-card" data-song="${songIdx}" data-diff="${diff.id}">
           <div class="best-run-rank">${i + 1}</div>
-          <div class="best-run-grade" style="color:${gc};text-shadow:0 0 10px ${gc}55">${rec.grade}</div>
+          <div class="best-run-grade" style="color:${gc};text-shadow:0 0 10px ${gc}55">${escapeHtml(rec.grade)}</div>
           <div class="best-run-info">
-            <div class="best-run-title">${title}</div>
+            <div class="best-run-title">${escapeHtml(rec.title)} <span class="best-run-diff" style="color:${diff.color}">${diff.label}</span>${tag ? ` <span class="best-run-mods">${escapeHtml(tag)}</span>` : ''}</div>
             <div class="best-run-score">${rec.score.toLocaleString()}</div>
           </div>
           <div class="best-run-acc">${rec.accuracy}%</div>
@@ -240,6 +505,7 @@ export class Game {
       if (idx >= 0) {
         card.addEventListener('click', () => {
           this.highlightSong(idx);
+          this.setDifficulty(card.dataset.diff);
           const cards = this.dom.songList.querySelectorAll('.song-card');
           if (cards[idx]) cards[idx].scrollIntoView({ block: 'center', behavior: 'smooth' });
         });
@@ -256,41 +522,202 @@ export class Game {
         c.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
       }
     });
+
+    const song = this.songs[index];
+    if (song && this.state === 'lobby') {
+      // The decoded track (and its analysis) saves fetching a preview clip
+      const track = this.loadedSong === song ? { buffer: this.audio.buffer, analysis: this.analysis } : null;
+      this.preview.request(song, track);
+    }
   }
 
   navigateSongs(dir) {
+    if (dir === 'left' || dir === 'right') {
+      const i = DIFFICULTIES.findIndex(d => d.id === this.selectedDifficulty);
+      const next = dir === 'left' ? Math.max(0, i - 1) : Math.min(DIFFICULTIES.length - 1, i + 1);
+      this.setDifficulty(DIFFICULTIES[next].id);
+      return;
+    }
     const newIdx = dir === 'up'
       ? Math.max(0, this.selectedSong - 1)
-      : Math.min(SONGS.length - 1, this.selectedSong + 1);
+      : Math.min(this.songs.length - 1, this.selectedSong + 1);
     this.highlightSong(newIdx);
   }
 
+  setDifficulty(id) {
+    if (id === this.selectedDifficulty) return;
+    this.selectedDifficulty = difficultyInfo(id).id;
+    // Cards show the high score of the active tier, so rebuild them
+    const scrollTop = this.dom.songList.scrollTop;
+    this.buildSongList();
+    this.dom.songList.scrollTop = scrollTop;
+    this.highlightSong(this.selectedSong);
+  }
+
+  setLobbyStatus(text, isError = false) {
+    this.dom.lobbyStatus.textContent = text;
+    this.dom.lobbyStatus.classList.toggle('error', isError);
+  }
+
+  // ── Modifiers ─────────────────────────────────────────────
+
+  // Song rate stepper and pitch chip, speed chip (click cycles SPEEDS), one
+  // chip per toggle, and the score multiplier
+  buildModBar() {
+    const { mods } = this;
+    const mult = scoreMultiplier(mods);
+    this.dom.modBar.innerHTML =
+      `<button class="mod-chip" data-rate="-1" title="Slower song">\u2212</button>`
+      + `<span class="mod-rate${mods.rate !== 1 ? ' changed' : ''}">RATE ${mods.rate.toFixed(2)}</span>`
+      + `<button class="mod-chip" data-rate="1" title="Faster song">+</button>`
+      + `<button class="mod-chip${mods.pitch ? ' active' : ''}" data-pitch title="Keep pitch when the rate changes">KEEP PITCH</button>`
+      + `<button class="mod-chip active" data-speed title="Scroll speed">${mods.speed}X</button>`
+      + MODIFIERS.map(m =>
+        `<button class="mod-chip${mods[m.id] ? ' active' : ''}" data-mod="${m.id}">${m.label}</button>`
+      ).join('')
+      + `<button class="mod-chip${this.autoplay != null ? ' active' : ''}" data-auto title="Watch the chart played (click again for human-like timing)">${this.autoplay ? `AUTO \u00B1${this.autoplay}MS` : 'AUTO'}</button>`
+      + `<button class="mod-chip${this.settings.ghost ? ' active' : ''}" data-ghost title="Race your best run on the chart">GHOST</button>`
+      + `<span class="mod-mult${mult !== 1 ? ' changed' : ''}">SCORE \u00D7${mult.toFixed(2)}</span>`;
+
+    this.dom.modBar.querySelectorAll('[data-rate]').forEach(chip => {
+      chip.addEventListener('click', () => this.setMods({ ...mods, rate: stepRate(mods.rate, +chip.dataset.rate) }));
+    });
+    this.dom.modBar.querySelector('[data-pitch]').addEventListener('click', () => {
+      this.setMods({ ...mods, pitch: !mods.pitch });
+    });
+    this.dom.modBar.querySelector('[data-speed]').addEventListener('click', () => {
+      const i = SPEEDS.indexOf(mods.speed);
+      this.setMods({ ...mods, speed: SPEEDS[(i + 1) % SPEEDS.length] });
+    });
+    // Off → perfect → each human-like spread → off
+    this.dom.modBar.querySelector('[data-auto]').addEventListener('click', () => {
+      const i = this.autoplay == null ? -1 : AUTO_ERRORS.indexOf(this.autoplay);
+      this.autoplay = i + 1 < AUTO_ERRORS.length ? AUTO_ERRORS[i + 1] : null;
+      this.buildModBar();
+    });
+    this.dom.modBar.querySelector('[data-ghost]').addEventListener('click', () => {
+      this.settings.ghost = !this.settings.ghost;
+      saveSettings(this.settings);
+      this.buildModBar();
+    });
+    this.dom.modBar.querySelectorAll('[data-mod]').forEach(chip => {
+      chip.addEventListener('click', () => this.setMods(toggleMod(mods, chip.dataset.mod)));
+    });
+  }
+
+  setMods(mods) {
+    const rateChanged = mods.rate !== this.mods.rate;
+    this.mods = normalizeMods(mods);
+    this.settings.modifiers = this.mods;
+    saveSettings(this.settings);
+    this.buildModBar();
+    // Cards show BPM and high score at the selected rate
+    if (rateChanged) {
+      const scrollTop = this.dom.songList.scrollTop;
+      this.buildSongList();
+      this.dom.songList.scrollTop = scrollTop;
+      this.highlightSong(this.selectedSong);
+    }
+  }
+
+  // ── Chart Import / Export ─────────────────────────────────
+
+  async importChart(file) {
+    try {
+      const parsed = await readChartFile(file);
+      const index = findSongForChart(parsed, this.songs);
+      if (index < 0) {
+        throw new Error(`No track in the catalog matches "${parsed.title || file.name}"`);
+      }
+      // Prefer the chart for the active tier, else the file's first chart
+      const chart = parsed.charts.find(c => c.difficulty === this.selectedDifficulty) || parsed.charts[0];
+      this.selectSong(index, chart);
+    } catch (err) {
+      console.error('Chart import failed:', file.name, err);
+      this.setLobbyStatus(err.message, true);
+    }
+  }
+
+  _exportChart() {
+    if (!this.gd) return;
+    const { song, difficulty, notes, timing } = this.gd;
+    exportChart(song, difficulty, notes, timing);
+  }
+
   // ── Song Selection & Loading ──────────────────────────────
 
-  async selectSong(index) {
-    const song = SONGS[index];
+  // chart: imported chart to play instead of generating one
+  async selectSong(index, chart = null) {
+    const song = this.songs[index];
     this.selectedSong = index;
+    this.customChart = chart;
 
-    this.showView('loading');
-    this.dom.loadingSongName.textContent = song.title;
-    this.dom.loadingBar.style.width = '0%';
-    this.dom.loadingText.textContent = '0%';
+    const tierLabel = chart ? 'CUSTOM' : difficultyInfo(this.selectedDifficulty).label;
+    // A cached generated chart spares the analysis pass
+    const cached = chart ? null : await this._cachedChart(song, this.selectedDifficulty);
+    if (await this._loadTrack(song, tierLabel, !chart && !cached)) this.startGame(song, chart, cached);
+  }
+
+  // Practice the selected tier's generated chart
+  async openPractice(index) {
+    const song = this.songs[index];
+    this.selectedSong = index;
+    this.customChart = null;
+    const difficulty = this.selectedDifficulty;
+    const cached = await this._cachedChart(song, difficulty);
+    // Practice picks its own rate, so there's nothing to stretch yet
+    if (!(await this._loadTrack(song, `${difficultyInfo(difficulty).label} \u2022 PRACTICE`, !cached, 1))) return;
+    this.practice.open(song, cached || this._generateChart(song, difficulty));
+  }
+
+  // Load a track (and optionally analyze it) behind the loading screen,
+  // stretched for pitch-kept playback at `stretchRate` (1 for none).
+  // Resolves false if loading failed; the screen then offers a way back.
+  async _loadTrack(song, label, analyze, stretchRate = this.mods.pitch ? this.mods.rate : 1) {
+    this._showLoading(song, label);
 
     try {
       this.audio.init();
       await this.audio.resume();
 
-      await this.audio.loadSong(song.file, progress => {
-        const pct = Math.round(progress * 100);
-        this.dom.loadingBar.style.width = pct + '%';
-        this.dom.loadingText.textContent = pct + '%';
-      });
+      // The track may already be decoded (retries, test-plays, fresh local files)
+      if (this.loadedSong !== song || !this.audio.buffer) {
+        this.loadedSong = null;
+        this.analysis = null;
+        const onProgress = progress => {
+          const pct = Math.round(progress * 100);
+          this.dom.loadingBar.style.width = pct + '%';
+          this.dom.loadingText.textContent = pct + '%';
+        };
+        if (song.local) await this.audio.loadFile(song.blob, onProgress);
+        else await this._loadCatalogAudio(song, onProgress);
+        this.loadedSong = song;
+      }
+
+      if (!song.key) {
+        this.dom.loadingText.textContent = 'FINDING KEY';
+        await new Promise(r => setTimeout(r, 30));
+        this._fillKey(song);
+      }
+
+      // Analysis blocks the main thread briefly; let the label paint first
+      if (analyze && !this.analysis) {
+        this.dom.loadingText.textContent = 'ANALYZING';
+        await new Promise(r => setTimeout(r, 30));
+        try {
+          this.analysis = analyzeAudio(this.audio.buffer);
+        } catch (e) {
+          console.warn('Audio analysis failed, using fixed sections:', e);
+        }
+      }
+
+      await this._stretch(stretchRate);
 
       this.dom.loadingBar.style.width = '100%';
       this.dom.loadingText.textContent = 'READY';
 
       await new Promise(r => setTimeout(r, 400));
-      this.startGame(song);
+      return true;
     } catch (err) {
       console.error('Failed to load song:', song.title, err);
       this.dom.loadingText.textContent = 'LOAD FAILED \u2014 TAP OR PRESS ANY KEY';
@@ -300,9 +727,406 @@ export class Game {
       };
       this.dom.loadingScreen.addEventListener('click', goBack, { once: true });
       window.addEventListener('keydown', goBack, { once: true });
+      return false;
+    }
+  }
+
+  _showLoading(song, label) {
+    this.showView('loading');
+    this.dom.loadingSongName.textContent = `${song.title} \u2022 ${label}`;
+    this.dom.loadingBar.style.width = '0%';
+    this.dom.loadingText.textContent = '0%';
+  }
+
+  // Pitch-preserving playback needs a stretched copy of the track. Building
+  // it blocks the main thread, so the label paints first.
+  async _stretch(rate) {
+    if (!this.audio.needsStretch(rate)) return;
+    this.dom.loadingText.textContent = 'STRETCHING';
+    await new Promise(r => setTimeout(r, 30));
+    this.audio.prepareStretch(rate);
+  }
+
+  // Start a practice loop; a new rate with pitch kept stretches the track
+  // behind the loading screen first
+  async startPractice(song, chart, practice) {
+    if (this.mods.pitch && this.audio.needsStretch(practice.rate)) {
+      this._showLoading(song, 'PRACTICE');
+      await this._stretch(practice.rate);
+    }
+    this.startGame(song, null, chart, { practice });
+  }
+
+  // ── Local Tracks ──────────────────────────────────────────
+
+  _setupDropZone() {
+    const lobby = this.dom.lobbyScreen;
+    // Files dropped outside the lobby are swallowed so the page never navigates away
+    window.addEventListener('dragover', e => {
+      e.preventDefault();
+      lobby.classList.toggle('drag-over', this.state === 'lobby');
+    });
+    window.addEventListener('dragleave', e => {
+      if (!e.relatedTarget) lobby.classList.remove('drag-over');
+    });
+    window.addEventListener('drop', e => {
+      e.preventDefault();
+      lobby.classList.remove('drag-over');
+      const file = e.dataTransfer.files[0];
+      if (this.state !== 'lobby' || !file) return;
+      if (CHART_EXTENSIONS.includes(fileExt(file.name))) this.importChart(file);
+      else this.addLocalTrack(file);
+    });
+  }
+
+  // Decode a local file, estimate its tempo and add it to the song list
+  async addLocalTrack(file) {
+    const ext = fileExt(file.name);
+    if (!AUDIO_EXTENSIONS.includes(ext) && !file.type.startsWith('audio/')) {
+      this.setLobbyStatus(`"${file.name}" is not an audio file (${AUDIO_EXTENSIONS.join(', ')})`, true);
+      return;
+    }
+
+    // Adding the same file again just selects it
+    let index = this.songs.findIndex(s => s.local && s.fileName === file.name && s.blob.size === file.size);
+    if (index < 0) {
+      this.showView('loading');
+      this.dom.loadingSongName.textContent = `${file.name} \u2022 DECODING`;
+      this.dom.loadingBar.style.width = '0%';
+      this.dom.loadingText.textContent = '';
+      try {
+        this.loadedSong = null;
+        this.analysis = null;
+        await this.audio.loadFile(file);
+        this.dom.loadingSongName.textContent = `${file.name} \u2022 FINDING TEMPO`;
+        // Let the label paint before analysis blocks the main thread
+        await new Promise(r => setTimeout(r, 30));
+        const analysis = analyzeAudio(this.audio.buffer);
+        const song = localSong(file, detectTempo(analysis));
+        this.dom.loadingSongName.textContent = `${file.name} \u2022 FINDING KEY`;
+        await new Promise(r => setTimeout(r, 30));
+        this._fillKey(song);
+        // Keep titles (and so score entries) distinct from the catalog
+        if (this.songs.some(s => s.title === song.title)) song.title += ' (LOCAL)';
+
+        this.songs.push(song);
+        this.loadedSong = song;
+        this.analysis = analysis;
+        index = this.songs.length - 1;
+      } catch (err) {
+        console.error('Local track failed:', file.name, err);
+        this.showLobby();
+        this.setLobbyStatus(err.message, true);
+        return;
+      }
+    }
+
+    const { title, tempo, key, camelot } = this.songs[index];
+    this.selectedSong = index;
+    this.showLobby();
+    // A weak estimate lists the half/double-time alternatives too
+    const alts = tempo.candidates.filter(c => c.bpm !== tempo.bpm).map(c => c.bpm).join(' / ');
+    const bpmText = tempo.confidence < 0.5 ? `~${tempo.bpm} BPM (OR ${alts})` : `${tempo.bpm} BPM`;
+    const keyText = key ? ` \u2022 ${key.toUpperCase()} (${camelot})` : '';
+    this.setLobbyStatus(`${title.toUpperCase()} \u2022 ${bpmText}${keyText}`);
+  }
+
+  // Key and Camelot code for a track the catalog has none for: from the
+  // cache, else detected from the decoded audio and cached by track id
+  _fillKey(song) {
+    let meta = loadTrackMeta(song.id);
+    if (!meta || !meta.key) {
+      try {
+        const { key, camelot } = detectKey(this.audio.buffer);
+        meta = { key, camelot };
+        saveTrackMeta(song.id, meta);
+      } catch (e) {
+        console.warn('Key detection failed:', e);
+        return;
+      }
+    }
+    song.key = meta.key;
+    song.camelot = meta.camelot;
+  }
+
+  // ── Offline Storage ───────────────────────────────────────
+
+  // Catalog audio from the offline cache when it's there, else the
+  // network (then cached for next time)
+  async _loadCatalogAudio(song, onProgress) {
+    let bytes = null;
+    try {
+      bytes = await loadCachedAudio(song);
+    } catch (e) {
+      console.warn('Offline cache unavailable:', e);
+    }
+    if (bytes) {
+      onProgress(1);
+      return this.audio.loadBytes(bytes);
+    }
+
+    bytes = await this.audio.fetchSong(song.file, onProgress);
+    // Decoding detaches the bytes, so the cache gets its own copy
+    const copy = bytes.slice(0);
+    await this.audio.loadBytes(bytes);
+    requestPersistence();
+    cacheAudio(song, copy)
+      .then(() => this.refreshStorage())
+      .catch(e => console.warn('Could not cache track:', song.title, e));
+  }
+
+  // Cached generated chart for a tier, or null (local tracks are never cached)
+  async _cachedChart(song, difficulty) {
+    if (song.local) return null;
+    try {
+      return await loadCachedChart(song, difficulty);
+    } catch { return null; }
+  }
+
+  _isCached(song) {
+    return !song.local && this.cachedTracks.some(t => t.id === song.file);
+  }
+
+  async refreshStorage() {
+    try {
+      this.cachedTracks = await listCachedTracks();
+    } catch (e) {
+      console.warn('Offline cache unavailable:', e);
+      this.cachedTracks = [];
+    }
+    if (this.state === 'lobby') {
+      this.buildSongList();
+      this.highlightSong(this.selectedSong);
+    }
+    this.buildStorageList();
+  }
+
+  // The lobby's lower panel shows best runs, offline storage or replays;
+  // picking the one already shown goes back to best runs
+  setLowerPanel(panel) {
+    this.lowerPanel = panel === this.lowerPanel ? 'runs' : panel;
+    this.dom.lobbyScreen.classList.toggle('show-storage', this.lowerPanel === 'storage');
+    this.dom.lobbyScreen.classList.toggle('show-replays', this.lowerPanel === 'replays');
+    this.dom.storageBtn.textContent = this.lowerPanel === 'storage' ? 'BEST RUNS' : 'STORAGE';
+    this.dom.replaysBtn.textContent = this.lowerPanel === 'replays' ? 'BEST RUNS' : 'REPLAYS';
+    this._labelLowerPanel();
+  }
+
+  _labelLowerPanel() {
+    const total = this.cachedTracks.reduce((sum, t) => sum + t.size, 0);
+    this.dom.lowerPanelLabel.textContent = {
+      runs: 'BEST RUNS',
+      storage: `OFFLINE STORAGE \u2022 ${formatBytes(total)}`,
+      replays: `REPLAYS \u2022 ${this.replays.length}`,
+    }[this.lowerPanel];
+  }
+
+  buildStorageList() {
+    this._labelLowerPanel();
+
+    // Every catalog track, cached or not; local files aren't stored
+    const rows = this.songs.filter(s => !s.local).map(song => {
+      const rec = this.cachedTracks.find(t => t.id === song.file);
+      return `
+        <div class="storage-row${rec ? ' cached' : ''}">
+          <div class="storage-title">${escapeHtml(song.title)}</div>
+          <div class="storage-size">${rec ? formatBytes(rec.size) : 'NOT CACHED'}</div>
+          ${rec ? `<button class="storage-evict" data-url="${song.file}">REMOVE</button>` : ''}
+        </div>`;
+    });
+    this.dom.storageList.innerHTML = rows.join('');
+
+    this.dom.storageList.querySelectorAll('.storage-evict').forEach(btn => {
+      btn.addEventListener('click', () => {
+        btn.disabled = true;
+        evictTrack(btn.dataset.url)
+          .then(() => this.refreshStorage())
+          .catch(e => {
+            btn.disabled = false;
+            this.setLobbyStatus(`Could not remove track: ${e.message}`, true);
+          });
+      });
+    });
+  }
+
+  // ── Replays ───────────────────────────────────────────────
+
+  async refreshReplays() {
+    try {
+      this.replays = await listReplays();
+    } catch (e) {
+      console.warn('Replays unavailable:', e);
+      this.replays = [];
+    }
+    this.buildReplayList();
+  }
+
+  buildReplayList() {
+    this._labelLowerPanel();
+    if (!this.replays.length) {
+      this.dom.replayList.innerHTML =
+        '<div class="best-run-empty">NO REPLAYS YET<br>EVERY FINISHED RUN IS KEPT HERE</div>';
+      return;
+    }
+
+    this.dom.replayList.innerHTML = this.replays.map(rec => {
+      const diff = difficultyInfo(rec.difficulty);
+      const tag = [modsTag(rec.mods), rec.auto != null ? 'AUTO' : ''].filter(Boolean).join(' ');
+      const day = new Date(rec.date).toLocaleDateString();
+      return `
+        <div class="replay-row" data-id="${escapeHtml(rec.id)}">
+          <div class="replay-info">
+            <div class="replay-title">${escapeHtml(rec.song.title)} <span class="best-run-diff" style="color:${diff.color}">${rec.custom ? 'CUSTOM' : diff.label}</span>${tag ? ` <span class="best-run-mods">${escapeHtml(tag)}</span>` : ''}</div>
+            <div class="replay-meta">${escapeHtml(`${day} \u2022 ${rec.result.grade} \u2022 ${rec.result.score.toLocaleString()} \u2022 ${rec.result.accuracy}%`)}</div>
+          </div>
+          <button class="replay-act" data-act="watch">WATCH</button>
+          <button class="replay-act" data-act="export">EXPORT</button>
+          <button class="replay-act danger" data-act="delete">DELETE</button>
+        </div>`;
+    }).join('');
+
+    this.dom.replayList.querySelectorAll('.replay-act').forEach(btn => {
+      const rec = this.replays.find(r => r.id === btn.closest('.replay-row').dataset.id);
+      btn.addEventListener('click', () => {
+        if (btn.dataset.act === 'watch') this.watchReplay(rec);
+        else if (btn.dataset.act === 'export') exportReplay(rec);
+        else {
+          btn.disabled = true;
+          deleteReplay(rec.id)
+            .then(() => this.refreshReplays())
+            .catch(e => {
+              btn.disabled = false;
+              this.setLobbyStatus(`Could not delete replay: ${e.message}`, true);
+            });
+        }
+      });
+    });
+  }
+
+  async importReplay(file) {
+    try {
+      const rec = await readReplayFile(file);
+      await saveReplay(rec);
+      await this.refreshReplays();
+      if (this.lowerPanel !== 'replays') this.setLowerPanel('replays');
+      this.setLobbyStatus(`REPLAY ADDED \u2022 ${rec.song.title.toUpperCase()}`);
+    } catch (err) {
+      console.error('Replay import failed:', file.name, err);
+      this.setLobbyStatus(err.message, true);
+    }
+  }
+
+  // ── Backup ────────────────────────────────────────────────
+
+  async exportBackup() {
+    try {
+      const b = await exportBackup();
+      this.setLobbyStatus(`BACKUP SAVED \u2022 ${Object.keys(b.scores).length} SCORES \u2022 ${b.runs.length} RUNS \u2022 ${b.replays.length} REPLAYS`);
+    } catch (err) {
+      console.error('Backup failed:', err);
+      this.setLobbyStatus(`Could not back up: ${err.message}`, true);
+    }
+  }
+
+  // Merge a backup file in (see restoreBackup), then show what it brought
+  async importBackup(file) {
+    try {
+      const data = await readBackupFile(file);
+      const added = await restoreBackup(data, this.settings);
+      this.settings = added.settings;
+      this.mods = normalizeMods(this.settings.modifiers);
+      this.buildModBar();
+      this.buildSongList();
+      this.highlightSong(this.selectedSong);
+      this.buildBestRuns();
+      await this.refreshReplays();
+      this.setLobbyStatus(`BACKUP RESTORED \u2022 ${added.scores} SCORES \u2022 ${added.runs} RUNS \u2022 ${added.replays} REPLAYS ADDED`);
+    } catch (err) {
+      console.error('Backup restore failed:', file.name, err);
+      this.setLobbyStatus(err.message, true);
+    }
+  }
+
+  // Play a replay back on its track (which has to be in the song list;
+  // local files only are once they've been added again)
+  async watchReplay(rec) {
+    const index = this.songs.findIndex(s => s.id === rec.song.id);
+    if (index < 0) {
+      this.setLobbyStatus(`"${rec.song.title}" is not in the track list \u2014 add its audio file first`, true);
+      return;
+    }
+    const song = this.songs[index];
+    this.selectedSong = index;
+    this.customChart = null;
+    // Stored replays predate some checks; one that can't be played goes
+    // back to the lobby rather than leaving a broken run on screen
+    try {
+      const replay = openReplay(validateReplay(rec));
+      const mods = normalizeMods(replay.mods);
+      if (await this._loadTrack(song, 'REPLAY', false, mods.pitch ? mods.rate : 1)) this.startGame(song, null, null, { replay });
+    } catch (err) {
+      console.error('Replay playback failed:', rec.id, err);
+      this.audio.stop();
+      this.showLobby();
+      this.setLobbyStatus(`Could not play replay: ${err.message}`, true);
     }
   }
 
+  // ── Calibration ───────────────────────────────────────────
+
+  openCalibration() {
+    // Steady frames matter for the flash test, so the background rests
+    cancelAnimationFrame(this._bgAF);
+    this.showView('calibration');
+    this.calibration.open();
+  }
+
+  // ── Chart Editor ──────────────────────────────────────────
+
+  // Opens the selected tier's chart: the saved edit if there is one,
+  // otherwise the generated chart as a starting point
+  async openEditor(index) {
+    const song = this.songs[index];
+    const difficulty = this.selectedDifficulty;
+    this.selectedSong = index;
+
+    const saved = loadLocalChart(song.title, difficulty);
+    const cached = saved ? null : await this._cachedChart(song, difficulty);
+    if (!await this._loadTrack(song, `EDITOR \u2022 ${difficultyInfo(difficulty).label}`, !saved && !cached)) return;
+
+    let chart = saved || cached;
+    if (!chart) {
+      const notes = generateBeatMap(song, this.audio.duration, { analysis: this.analysis, difficulty });
+      chart = { difficulty, timing: chartTiming(song, this.analysis), notes };
+    }
+    this.editing = true;
+    this.editor.open(song, chart);
+    this.showEditor();
+  }
+
+  showEditor() {
+    cancelAnimationFrame(this._bgAF);
+    this.showView('editor');
+    this.editor.activate();
+  }
+
+  closeEditor() {
+    this.showLobby();
+  }
+
+  // Test-play from the editor; retries replay the same chart
+  testChart(chart) {
+    this.customChart = chart;
+    this.startGame(this.editor.song, chart);
+  }
+
+  // Leave a finished or quit run: back to the editor if it launched the run
+  _leaveRun() {
+    if (this.editing) this.showEditor();
+    else if (this.gd && this.gd.practice) this.practice.finish(this.gd.practice.loops);
+    else this.showLobby();
+  }
+
   // ── Pause System ──────────────────────────────────────────
 
   togglePause() {
@@ -317,16 +1141,19 @@ export class Game {
   pauseGame() {
     if (this.paused || this.state !== 'playing') return;
     this.paused = true;
-    this.pauseTime = performance.now();
     cancelAnimationFrame(this._gameAF);
 
-    // Suspend audio
+    // Suspending the context also freezes the song clock
     if (this.audio.ctx) this.audio.ctx.suspend();
 
     this.dom.pauseOverlay.classList.add('active');
+    const practicing = !!this.gd.practice;
+    this.dom.pauseQuitBtn.textContent = this.editing ? 'BACK TO EDITOR' : practicing ? 'END PRACTICE' : 'QUIT TO TRACKS';
+    this.dom.pauseRestartBtn.hidden = !practicing;
 
     // Reconfigure input for pause menu
     this.input.onHit = null;
+    this.input.onRelease = null;
     this.input.onNav = null;
     this.input.onSelect = () => this.resumeGame();
     this.input.onBack = () => this._quitToTracks();
@@ -334,8 +1161,6 @@ export class Game {
 
   resumeGame() {
     if (!this.paused) return;
-    const pauseDuration = performance.now() - this.pauseTime;
-    this.gd.start += pauseDuration;
     this.paused = false;
 
     // Resume audio
@@ -343,6 +1168,15 @@ export class Game {
 
     this.dom.pauseOverlay.classList.remove('active');
 
+    // Lanes let go of during the pause end their holds where the run paused
+    const { gd } = this;
+    if (!gd.replay && gd.auto == null) {
+      const held = this.input.heldLanes();
+      for (const lane of new Set(gd.notes.filter(n => n.holding).map(n => n.lane))) {
+        if (!held.has(lane)) this.releaseHold(lane);
+      }
+    }
+
     // Restore gameplay input
     this._configureInput('playing');
     this.gameLoop();
@@ -351,114 +1185,361 @@ export class Game {
   _quitToTracks() {
     this.paused = false;
     this.audio.stop();
+    if (this.gd && this.gd.practice) this._stopClicks();
     if (this.audio.ctx && this.audio.ctx.state === 'suspended') {
       this.audio.ctx.resume();
     }
     cancelAnimationFrame(this._gameAF);
-    this.showLobby();
+    this._leaveRun();
   }
 
   _retrySong() {
-    const song = SONGS[this.selectedSong];
-    if (song && this.audio.buffer) {
-      this.startGame(song);
+    const song = this.songs[this.selectedSong];
+    // A replay plays again from the top
+    if (this.gd && this.gd.replay) {
+      this.startGame(this.gd.song, null, null, { replay: this.gd.replay.data });
+    } else if (song && this.audio.buffer) {
+      this.startGame(song, this.customChart);
     } else {
-      this.selectSong(this.selectedSong);
+      this.selectSong(this.selectedSong, this.customChart);
     }
   }
 
   // ── Gameplay ──────────────────────────────────────────────
 
-  startGame(song) {
+  // Generate the loaded track's chart for a tier (and keep it offline)
+  _generateChart(song, difficulty) {
+    const duration = this.audio.duration;
+    const generated = {
+      difficulty,
+      timing: chartTiming(song, this.analysis),
+      notes: generateBeatMap(song, duration, { analysis: this.analysis, difficulty }),
+      sections: chartSections(song, duration, this.analysis),
+    };
+    if (!song.local) cacheChart(song, generated).catch(e => console.warn('Could not cache chart:', e));
+    return generated;
+  }
+
+  // chart: custom chart to play (never scored); generated: a cached copy
+  // of the generated chart, used instead of generating it again. run:
+  // { practice: { start, end, rate } } loops that part instead (never
+  // scored); { replay } plays an opened replay back (see replays.js).
+  startGame(song, chart = null, generated = null, run = {}) {
+    const { practice = null, replay = null } = run;
     const duration = this.audio.duration;
-    const notes = generateBeatMap(song, duration);
-    const beatMs = 60000 / song.bpm;
+    const difficulty = replay ? replay.difficulty : chart ? chart.difficulty : this.selectedDifficulty;
+    if (!chart && !generated && !replay) generated = this._generateChart(song, difficulty);
+    const source = replay || chart || generated;
+    let notes = cloneNotes(source.notes);
+    if (practice) notes = notes.filter(n => n.t >= practice.start && n.t < practice.end);
+    const demo = this._demoNext;
+    this._demoNext = false;
+    // Replays play with the modifiers they were recorded with; demos with none
+    const mods = replay ? normalizeMods(replay.mods) : demo ? normalizeMods({}) : { ...this.mods };
+    const rate = practice ? practice.rate : mods.rate;
+    const auto = replay ? null : demo ? DEMO_ERROR : this.autoplay;
+    // Random lanes get a fresh shuffle each run; a replay's notes are
+    // already in the lanes it was played in
+    const seed = replay ? replay.seed : (Math.random() * 0x100000000) >>> 0;
+    const lanes = replay ? replay.lanes : laneMap(mods, seed);
+    if (!replay) replayableNotes(remapLanes(notes, lanes));
+    const custom = replay ? replay.custom : !!chart;
+    // Runs that can set a best record their timeline for later runs to
+    // race, and race (and are compared with) the current best
+    const ranked = !custom && auto == null && !practice && !demo && !replay;
+    const best = ranked ? loadScore(scoreKey(song.title, difficulty, rate)) : null;
 
     this.gd = {
       song,
+      difficulty,
       notes,
-      beatMs,
+      timing: source.timing,
+      custom,
+      mods,
+      seed,
+      lanes,
+      scoreMult: scoreMultiplier(mods),
+      // Autoplay error spread (ms; null = the player), and whether this is
+      // the lobby's attract demo. Neither is ever scored.
+      auto,
+      demo,
+      // Input recorded for the replay (normal runs only), or the replay
+      // being played back: its data, next event, judged song ms (`at`),
+      // playback speed and whether it's paused
+      record: practice || demo || replay ? null : { events: [] },
+      replay: replay && { data: replay, next: 0, at: -Infinity, speed: 1, paused: false },
+      // Best record at the start (null if none or unranked), the ghost
+      // timeline raced (ghost.js), this run's own timeline, and the live
+      // delta against the ghost ({ score, acc })
+      best,
+      ghost: this.settings.ghost && best && best.ghost ? best.ghost : null,
+      timeline: ranked ? createTimeline() : null,
+      vs: null,
+      // Song ms up to which misses and hold tails have been settled
+      settledTo: -Infinity,
+      // Skip hit sounds (while a replay re-plays up to a seek)
+      silent: false,
+      // Song ms per real ms. Timing windows, offsets and scroll speed are
+      // in real time, so they're scaled by it wherever song time is compared.
+      rate,
+      // Song ms a note spends on the highway
+      travel: TRAVEL / mods.speed * rate,
       score: 0,
       combo: 0,
       maxCombo: 0,
       hp: 100,
-      stats: { perfect: 0, great: 0, good: 0, miss: 0 },
-      start: performance.now() + 800,
+      stats: emptyStats(),
+      // Judgments per lane, and every press judged against a note:
+      // { lane, error (real ms, + = late), judg }
+      laneStats: [0, 1, 2, 3].map(emptyStats),
+      hits: [],
+      // HP, combo and judgments along the song (rungraph.js), and the
+      // chart's sections to show them against
+      trace: createTrace(),
+      sections: source.sections || chartSections(song, duration, this.analysis),
+      holdCount: notes.filter(isHold).length,
+      lastT: notes.reduce((m, n) => Math.max(m, n.end ?? n.t), 0),
       judg: '',
       judgT: 0,
       done: false,
+      // Ended by running out of HP
+      failed: false,
       beatPulse: 0,
       songDuration: duration,
       songElapsed: 0,
+      // Loop state while practicing: the loop's notes (laned) to reset from,
+      // where the loop is over, and each finished loop's accuracy
+      practice: practice && {
+        ...practice,
+        notes: cloneNotes(notes),
+        doneAt: notes.reduce((m, n) => Math.max(m, n.end ?? n.t), practice.end) + LOOP_TAIL * rate,
+        beatMs: 0,
+        loop: 0,
+        loops: [],
+        clicks: [],
+      },
     };
 
     this.effects = new EffectsManager();
     this.renderer._displayScore = 0;
+    this.auto = auto == null ? null : new AutoPlayer(this, auto);
+    if (this.auto) this.auto.reset(notes);
 
     this.showView('playing');
     this.renderer.resize(this.dom.gameCv);
 
-    // Start audio after delay to sync
-    setTimeout(() => {
-      if (this.state === 'playing') this.audio.play();
-    }, 800);
+    if (mods.pitch) this.audio.prepareStretch(rate);
+    if (practice) {
+      this._startLoop();
+    } else if (replay) {
+      this._replayAudio(-LEAD_IN * 1000 * rate);
+    } else {
+      // The track is scheduled on the audio clock; the song clock (and so
+      // judgment) counts up from -LEAD_IN toward its first sample
+      this.audio.play(0, LEAD_IN, rate, mods.pitch);
+    }
 
     cancelAnimationFrame(this._bgAF);
     this.gameLoop();
   }
 
-  tryHit(lane) {
-    if (!this.gd || this.gd.done || this.paused) return;
-    const now = performance.now();
-    const elapsed = now - this.gd.start;
+  // ── Practice Loops ────────────────────────────────────────
+
+  // (Re)start the practice loop from A: fresh notes and counters, then a
+  // count-in on the chart's beat while the song clock runs up to A
+  _startLoop() {
+    const { gd } = this;
+    const p = gd && gd.practice;
+    if (!p || gd.done) return;
+    this._stopClicks();
+    this._resetRun(cloneNotes(p.notes));
+    if (this.auto) this.auto.reset(gd.notes);
+    p.loop++;
+
+    p.beatMs = beatLength(gd.timing, msToBeat(gd.timing, p.start));
+    const beat = p.beatMs / gd.rate / 1000;
+    const t0 = this.audio.ctx.currentTime + 0.1;
+    for (let i = 0; i < COUNT_IN; i++) p.clicks.push(this.audio.playClick(t0 + i * beat, i === 0));
+    this.audio.play(p.start / 1000, 0.1 + COUNT_IN * beat, gd.rate, gd.mods.pitch);
+  }
+
+  // Back to the start of a run with fresh notes
+  _resetRun(notes) {
+    const { gd } = this;
+    gd.notes = notes;
+    gd.score = 0;
+    gd.combo = 0;
+    gd.maxCombo = 0;
+    gd.hp = 100;
+    gd.stats = emptyStats();
+    gd.laneStats = [0, 1, 2, 3].map(emptyStats);
+    gd.hits = [];
+    gd.trace = createTrace();
+    gd.judg = '';
+    gd.settledTo = -Infinity;
+    this.renderer._displayScore = 0;
+    this.effects.updateComboFire(0);
+  }
+
+  // Loop played through: log its accuracy and go again
+  _endLoop() {
+    const { stats, practice } = this.gd;
+    if (stats.perfect + stats.great + stats.good + stats.miss > 0) practice.loops.push(accuracyOf(stats));
+    this._startLoop();
+  }
+
+  _stopClicks() {
+    const p = this.gd.practice;
+    for (const osc of p.clicks) {
+      try { osc.stop(); } catch (e) { /* already ended */ }
+    }
+    p.clicks = [];
+  }
+
+  // ── Replay Playback ───────────────────────────────────────
+
+  // Judge the replay's input up to `judgeMs` (never past where the run
+  // ended). Each event is judged after settling to where the live run had
+  // settled, so misses and hold tails fall in the same order as they did.
+  _advanceReplay(judgeMs, now) {
+    const rp = this.gd.replay;
+    const { events, end } = rp.data;
+    const to = Math.min(judgeMs, end);
+    while (rp.next < events.length && events[rp.next][3] <= to) {
+      const [release, lane, t, settled] = events[rp.next++];
+      this._expireNotes(settled, now);
+      if (release) this._judgeRelease(lane, t, now);
+      else this._judgeHit(lane, t, now);
+    }
+    this._expireNotes(to, now);
+  }
+
+  // Start the track so `judgeMs` is judged now, at the playback speed
+  // (pitch is only kept at normal speed)
+  _replayAudio(judgeMs) {
+    const { gd } = this;
+    const rp = gd.replay;
+    const elapsed = judgeMs + this.settings.audioOffset * gd.rate;
+    const rate = gd.rate * rp.speed;
+    this.audio.play(Math.max(0, elapsed) / 1000, Math.max(0, -elapsed) / 1000 / rate, rate, gd.mods.pitch && rp.speed === 1);
+  }
+
+  // Jump to a judged song position: the run is re-judged silently from the
+  // top, so everything shown matches what the player had at that point
+  _seekReplay(judgeMs) {
+    const { gd } = this;
+    const rp = gd && gd.replay;
+    if (!rp || gd.done) return;
+    const at = quantizeMs(clamp(judgeMs, -LEAD_IN * 1000 * gd.rate, rp.data.end));
+    this._resetRun(cloneNotes(rp.data.notes));
+    rp.next = 0;
+    gd.silent = true;
+    this._advanceReplay(at, performance.now());
+    gd.silent = false;
+    rp.at = at;
+    this.effects = new EffectsManager();
+    this.effects.updateComboFire(gd.combo);
+    this.renderer._displayScore = gd.score;
+    if (!rp.paused) this._replayAudio(at);
+  }
+
+  _toggleReplayPause() {
+    const rp = this.gd && this.gd.replay;
+    if (!rp || this.gd.done) return;
+    rp.paused = !rp.paused;
+    if (rp.paused) this.audio.stop();
+    else this._replayAudio(rp.at);
+    this.dom.replayPauseBtn.textContent = rp.paused ? 'PLAY' : 'PAUSE';
+  }
+
+  _setReplaySpeed(speed) {
+    const rp = this.gd && this.gd.replay;
+    if (!rp) return;
+    rp.speed = speed;
+    if (!rp.paused && !this.gd.done) this._replayAudio(rp.at);
+    this._updateReplayBar();
+  }
+
+  _updateReplayBar() {
+    const rp = this.gd.replay;
+    const { replaySeek, replayTime, replayPauseBtn, replaySpeeds } = this.dom;
+    replaySeek.max = Math.ceil(rp.data.end);
+    replaySeek.value = rp.at;
+    replayTime.textContent = `${formatClock(rp.at)} / ${formatClock(rp.data.end)}`;
+    replayPauseBtn.textContent = rp.paused ? 'PLAY' : 'PAUSE';
+    replaySpeeds.querySelectorAll('[data-speed]').forEach(chip => {
+      chip.classList.toggle('active', +chip.dataset.speed === rp.speed);
+    });
+  }
+
+  // ts: when the press happened (performance.now() clock, usually the event's timeStamp)
+  tryHit(lane, ts = performance.now()) {
+    if (!this.gd || this.gd.done || this.paused || this.gd.replay) return;
+    const songMs = this._judgeMs(ts);
+    this._record(false, lane, songMs);
+    this._judgeHit(lane, songMs, performance.now());
+  }
+
+  // Log an input for the replay, with how far the run had been settled
+  // when it came in (its judgment starts by settling at least that far)
+  _record(release, lane, songMs) {
+    const { gd } = this;
+    if (gd.record) gd.record.events.push([release, lane, songMs, Math.max(songMs, gd.settledTo)]);
+  }
+
+  // Judge a press at a song position; `now` only times the effects
+  _judgeHit(lane, songMs, now) {
+    // Notes that ran out before this press are misses first, whatever the
+    // frame rate (a late-stamped press can't undo what a frame settled)
+    this._expireNotes(Math.max(songMs, this.gd.settledTo), now);
 
     this.effects.laneFlashes[lane] = 1;
 
     let best = null, bestDist = Infinity;
     for (const n of this.gd.notes) {
       if (n.lane !== lane || n.hit || n.missed) continue;
-      const d = Math.abs(elapsed - n.t);
+      const d = Math.abs(songMs - n.t) / this.gd.rate;
       if (d < bestDist) { best = n; bestDist = d; }
     }
 
     if (!best || bestDist > WIN.k + 40) return;
 
     best.hit = true;
+    if (isHold(best)) {
+      // A missed head drops the whole hold; otherwise start sustaining it
+      if (bestDist > WIN.k) {
+        best.dropped = true;
+        this.gd.stats.dropped++;
+      } else {
+        best.holding = true;
+      }
+    }
     let judg, pts;
     if (bestDist <= WIN.p) { judg = 'PERFECT'; pts = PTS.p; }
     else if (bestDist <= WIN.g) { judg = 'GREAT'; pts = PTS.g; }
     else if (bestDist <= WIN.k) { judg = 'GOOD'; pts = PTS.k; }
     else { judg = 'MISS'; pts = 0; }
+    this.gd.hits.push({ lane, error: (songMs - best.t) / this.gd.rate, judg });
+    this.gd.trace.judged.push({ t: best.t, judg });
+    this.gd.laneStats[lane][judg.toLowerCase()]++;
 
     if (judg === 'MISS') {
       this.gd.combo = 0;
       this.gd.hp = Math.max(0, this.gd.hp - 4);
       this.gd.stats.miss++;
-      this.audio.playMiss();
+      if (!this.gd.silent) this.audio.playMiss();
       this.effects.triggerMiss(now);
     } else {
       this.gd.combo++;
-      const mult = 1 + Math.floor(this.gd.combo / 10);
-      this.gd.score += pts * mult;
+      this._award(pts);
       this.gd.maxCombo = Math.max(this.gd.maxCombo, this.gd.combo);
       this.gd.stats[judg.toLowerCase()]++;
       this.gd.hp = Math.min(100, this.gd.hp + 0.8);
 
-      this.audio.playHit(lane, judg);
+      if (!this.gd.silent) this.audio.playHit(lane, judg);
 
-      // Compute note position for effects (must match renderer highway)
-      const dpr = window.devicePixelRatio || 1;
-      const W = this.dom.gameCv.width / dpr;
-      const H = this.dom.gameCv.height / dpr;
-      const isMobile = W < 600;
-      const cx = W / 2;
-      const hy = this.isTouchDevice ? H * 0.72 : H * 0.82;
-      const bw = W * (isMobile ? 0.38 : 0.28);
-      const lw = (bw * 2) / 4;
-      const px = cx - bw + lane * lw + lw / 2;
-
-      const COLS = ['#00f0ff', '#ff00ff', '#00ff88', '#ffaa00'];
-      this.effects.triggerHit(lane, px, hy, judg, COLS[lane], now);
+      const { px, hy, cx } = this._lanePos(lane);
+      this.effects.triggerHit(lane, px, hy, judg, LANE_COLS[lane], now);
       this.effects.updateComboFire(this.gd.combo);
 
       // Combo milestones
@@ -471,46 +1552,188 @@ export class Game {
     this.gd.judgT = now;
   }
 
+  // Points for a hit at the current combo, scaled by the run's modifiers
+  _award(pts) {
+    const { gd } = this;
+    gd.score += Math.round(pts * (1 + Math.floor(gd.combo / 10)) * gd.scoreMult);
+  }
+
+  // Compute a lane's hit-zone position for effects (must match renderer highway)
+  _lanePos(lane) {
+    const dpr = window.devicePixelRatio || 1;
+    const W = this.dom.gameCv.width / dpr;
+    const H = this.dom.gameCv.height / dpr;
+    const isMobile = W < 600;
+    const cx = W / 2;
+    const hy = this.isTouchDevice ? H * 0.72 : H * 0.82;
+    const bw = W * (isMobile ? 0.38 : 0.28);
+    const lw = (bw * 2) / 4;
+    return { px: cx - bw + lane * lw + lw / 2, hy, cx };
+  }
+
+  // ── Hold Notes ────────────────────────────────────────────
+
+  releaseHold(lane, ts = performance.now()) {
+    const { gd } = this;
+    if (!gd || gd.done || this.paused || gd.replay) return;
+    // Nothing to let go of (settling can end holds, never start them)
+    if (!gd.notes.some(n => n.holding && n.lane === lane)) return;
+    const songMs = this._judgeMs(ts);
+    this._record(true, lane, songMs);
+    this._judgeRelease(lane, songMs, performance.now());
+  }
+
+  // Judge letting go of a lane at a song position
+  _judgeRelease(lane, songMs, now) {
+    const { gd } = this;
+    this._expireNotes(Math.max(songMs, gd.settledTo), now);
+    const note = gd.notes.find(n => n.holding && n.lane === lane);
+    if (!note) return;
+    if (songMs >= note.end - HOLD_RELEASE * gd.rate) this._completeHold(note, now);
+    else this._dropHold(note, now);
+  }
+
+  _completeHold(note, now) {
+    const { gd } = this;
+    note.holding = false;
+    note.held = true;
+    gd.combo++;
+    this._award(PTS.h);
+    gd.maxCombo = Math.max(gd.maxCombo, gd.combo);
+    gd.stats.held++;
+    gd.hp = Math.min(100, gd.hp + 0.8);
+
+    const { px, hy } = this._lanePos(note.lane);
+    this.effects.triggerHit(note.lane, px, hy, 'GOOD', LANE_COLS[note.lane], now);
+    this.effects.updateComboFire(gd.combo);
+  }
+
+  _dropHold(note, now) {
+    const { gd } = this;
+    note.holding = false;
+    note.dropped = true;
+    gd.combo = 0;
+    gd.hp = Math.max(0, gd.hp - 4);
+    gd.stats.dropped++;
+    gd.judg = 'DROP';
+    gd.judgT = now;
+    this.effects.updateComboFire(0);
+  }
+
+  // Song position a press at `ts` is judged at, after the player's audio
+  // offset (on the replay's grid, so a replayed input lands on the same ms)
+  _judgeMs(ts) {
+    return quantizeMs(this.audio.songMsAt(ts) - this.settings.audioOffset * this.gd.rate);
+  }
+
+  // Settle everything decided by the song reaching `songMs`: notes past
+  // their window are missed, sustained holds past their tail complete.
+  // Both happen in song order (tails first on a tie), however far a call
+  // reaches, so the outcome never depends on the frame rate.
+  _expireNotes(songMs, now) {
+    const { gd } = this;
+    const late = (WIN.k + 60) * gd.rate;
+    const due = [];
+    for (const n of gd.notes) {
+      if (!n.hit && !n.missed && songMs > n.t + late) due.push({ n, at: n.t + late, miss: true });
+      else if (n.holding && songMs >= n.end) due.push({ n, at: n.end, miss: false });
+    }
+    due.sort((a, b) => a.at - b.at || a.miss - b.miss);
+    for (const { n, miss } of due) {
+      if (miss) this._missNote(n, now);
+      else this._completeHold(n, now);
+    }
+    gd.settledTo = Math.max(gd.settledTo, songMs);
+  }
+
+  // A note that went by unplayed
+  _missNote(note, now) {
+    const { gd } = this;
+    note.missed = true;
+    gd.combo = 0;
+    gd.hp = Math.max(0, gd.hp - 4);
+    gd.stats.miss++;
+    gd.laneStats[note.lane].miss++;
+    gd.trace.judged.push({ t: note.t, judg: 'MISS' });
+    if (isHold(note)) {
+      note.dropped = true;
+      gd.stats.dropped++;
+    }
+    gd.judg = 'MISS';
+    gd.judgT = now;
+    this.effects.updateComboFire(0);
+  }
+
   gameLoop() {
     if (this.state !== 'playing' || this.paused) return;
 
     const now = performance.now();
-    const elapsed = now - this.gd.start;
     const { gd } = this;
-
-    gd.beatPulse = Math.pow(Math.max(0, 1 - ((elapsed % gd.beatMs) / gd.beatMs) * 3.5), 2);
+    const rp = gd.replay;
+    // A paused replay holds its position (the track is stopped, not suspended)
+    const offsetMs = this.settings.audioOffset * gd.rate;
+    const judgeMs = rp && rp.paused ? rp.at : quantizeMs(this.audio.songMsAt(now) - offsetMs);
+    const elapsed = judgeMs + offsetMs;
+    // Notes reach the hit line when the player hears them, drawn early
+    // enough to cover the display's own latency
+    const drawMs = judgeMs + this.settings.visualOffset * gd.rate;
+
+    gd.beatPulse = beatPulseAt(gd.timing, drawMs);
     gd.songElapsed = elapsed;
 
     this.effects.update(now);
+    // Nothing more is judged once the run is over (a replay ends where it did)
+    if (rp) {
+      if (!gd.done) this._advanceReplay(judgeMs, now);
+      rp.at = judgeMs;
+      this._updateReplayBar();
+    } else if (!gd.done) {
+      if (this.auto) this.auto.update(judgeMs, now, gd.rate);
+      this._expireNotes(judgeMs, now);
+    }
+
+    if (!gd.done) sampleSeries(gd.trace, judgeMs, { hp: gd.hp, combo: gd.combo });
+
+    // Ghost: sample this run, and see how it stands against the best
+    if (!gd.done && (gd.timeline || gd.ghost)) {
+      const acc = runAccuracy(gd.stats);
+      if (gd.timeline) sampleSeries(gd.timeline, judgeMs, { score: gd.score, acc });
+      if (gd.ghost) gd.vs = ghostDelta(gd.ghost, judgeMs, gd.score, acc);
+    }
 
-    // Check for missed notes
+    // Keep sustained lanes lit
     for (const n of gd.notes) {
-      if (!n.hit && !n.missed && elapsed > n.t + WIN.k + 60) {
-        n.missed = true;
-        gd.combo = 0;
-        gd.hp = Math.max(0, gd.hp - 4);
-        gd.stats.miss++;
-        gd.judg = 'MISS';
-        gd.judgT = now;
-        this.effects.updateComboFire(0);
-      }
+      if (n.holding) this.effects.laneFlashes[n.lane] = Math.max(this.effects.laneFlashes[n.lane], 0.5);
     }
 
-    // HP death
-    if (gd.hp <= 0 && !gd.done) {
+    // Practice loops until the player leaves; nothing below ends it
+    if (gd.practice && judgeMs > gd.practice.doneAt) this._endLoop();
+
+    // HP death (no-fail and practice play on at zero)
+    if (gd.hp <= 0 && !gd.done && !gd.mods.nofail && !gd.practice && !rp) {
       gd.done = true;
+      gd.failed = true;
       setTimeout(() => this.showResults(), 500);
     }
 
-    // Song end
-    const lastNote = gd.notes[gd.notes.length - 1];
-    const songEnded = !this.audio.playing && elapsed > 3000;
-    const notesEnded = lastNote && elapsed > lastNote.t + 3000;
-    if ((songEnded || notesEnded) && !gd.done) {
+    // Song end (a replay ends where its run did)
+    const songEnded = !this.audio.playing && elapsed > 3000 * gd.rate;
+    const notesEnded = gd.notes.length > 0 && elapsed > gd.lastT + 3000 * gd.rate;
+    if ((songEnded || notesEnded) && !gd.done && !gd.practice && !gd.demo && !rp) {
+      gd.done = true;
+      setTimeout(() => this.showResults(), 300);
+    }
+    if (rp && !gd.done && judgeMs >= rp.data.end) {
       gd.done = true;
       setTimeout(() => this.showResults(), 300);
     }
 
+    // Attract demo: back to the lobby after a while
+    if (gd.demo && elapsed > DEMO_MS * gd.rate) {
+      this._endDemo();
+      return;
+    }
+
     // ── Render ──────────────────────────────────────────────
     try {
       const ctx = this.dom.gameCv.getContext('2d');
@@ -534,7 +1757,10 @@ export class Game {
       this.effects.drawScreenFlash(ctx, W, H);
 
       // Highway
-      const hw = this.renderer.drawHighway(ctx, W, H, now, gd.beatPulse, energy, this.effects);
+      // Beat lines on their way down, as highway progress (0 = far end, 1 = hit zone)
+      const beats = beatsBetween(gd.timing, drawMs, drawMs + gd.travel)
+        .map(b => ({ p: (drawMs - b.t + gd.travel) / gd.travel, measure: b.beat % 4 === 0 }));
+      const hw = this.renderer.drawHighway(ctx, W, H, now, gd.beatPulse, energy, this.effects, beats);
 
       // Target arrows (pass time for idle pulse)
       this.renderer.drawTargets(ctx, hw, this.effects.laneFlashes, now);
@@ -543,7 +1769,7 @@ export class Game {
       this.effects.drawRings(ctx, now);
 
       // Notes
-      this.renderer.drawNotes(ctx, gd.notes, elapsed, TRAVEL, hw);
+      this.renderer.drawNotes(ctx, gd.notes, drawMs, gd.travel, hw, gd.mods);
 
       // Particles
       this.effects.drawParticles(ctx, now);
@@ -554,6 +1780,16 @@ export class Game {
       // HUD
       this.renderer.drawHUD(ctx, W, H, gd, hw);
 
+      // Practice: loop log, and the count-in before A
+      if (gd.practice) {
+        const p = gd.practice;
+        this.renderer.drawPractice(ctx, W, p.loop, p.loops);
+        const beatsLeft = (p.start - drawMs) / p.beatMs;
+        if (beatsLeft > 0 && beatsLeft <= COUNT_IN) {
+          this.renderer.drawCountdown(ctx, Math.ceil(beatsLeft), 1 - (beatsLeft % 1 || 1), hw.cx, hw.hy - 140);
+        }
+      }
+
       // Song title
       this.renderer.drawSongTitle(ctx, W, gd.song.title, elapsed);
     } catch(e) {
@@ -563,29 +1799,77 @@ export class Game {
     this._gameAF = requestAnimationFrame(() => this.gameLoop());
   }
 
+  // ── Attract Demo ──────────────────────────────────────────
+
+  // Restart the lobby's idle countdown
+  _armAttract() {
+    clearTimeout(this._attractTimer);
+    this._attractTimer = setTimeout(() => this._startDemo(), ATTRACT_IDLE);
+  }
+
+  // Autoplay the highlighted track. Sound can't start before the page has
+  // been clicked or typed on, and hidden tabs don't need a show. Only a
+  // track already here is demoed: a download could fail offline, and
+  // nobody is there to back out of LOAD FAILED.
+  async _startDemo() {
+    if (this.state !== 'lobby' || document.hidden) return;
+    const song = this.songs[this.selectedSong];
+    const here = song && (this.loadedSong === song || song.local || this._isCached(song));
+    if (!here || (navigator.userActivation && !navigator.userActivation.hasBeenActive)) {
+      this._armAttract();
+      return;
+    }
+    this._demoNext = true;
+    this.customChart = null;
+    const difficulty = this.selectedDifficulty;
+    const cached = await this._cachedChart(song, difficulty);
+    if (!this._demoNext || this.state !== 'lobby') return;
+    // Demos play without modifiers, so there's nothing to stretch
+    const ready = await this._loadTrack(song, `${difficultyInfo(difficulty).label} \u2022 DEMO`, !cached, 1);
+    // Any input while it loads goes back to the lobby (and clears _demoNext)
+    if (ready && this._demoNext && this.state === 'loading') this.startGame(song, null, cached);
+  }
+
+  _endDemo() {
+    this.audio.stop();
+    cancelAnimationFrame(this._gameAF);
+    this.showLobby();
+  }
+
   // ── Results ───────────────────────────────────────────────
 
   showResults() {
     this.audio.stop();
     cancelAnimationFrame(this._gameAF);
 
-    const { stats, score, maxCombo, song } = this.gd;
-    const total = stats.perfect + stats.great + stats.good + stats.miss;
-    const acc = total > 0
-      ? Math.round(((stats.perfect + stats.great * 0.7 + stats.good * 0.4) / total) * 100)
-      : 0;
+    const { stats, score, maxCombo, song, difficulty, holdCount, custom, mods, scoreMult, auto, replay, best, timeline } = this.gd;
+    const acc = accuracyOf(stats);
     const grade = getGrade(acc);
     const rc = GRADE_COLORS[grade] || '#556';
 
-    // Save high score
-    const isNewHigh = saveScore(song.title, {
-      score, maxCombo, accuracy: acc,
-      perfectCount: stats.perfect,
-      greatCount: stats.great,
-      goodCount: stats.good,
-      missCount: stats.miss,
-      grade,
-    });
+    // Save high score (imported charts aren't comparable, autoplay isn't
+    // the player, and a replay already counted, so none of them ever do)
+    let isNewHigh = false;
+    let saveError = null;
+    if (!custom && auto == null && !replay) {
+      try {
+        isNewHigh = saveScore(scoreKey(song.title, difficulty, mods.rate), {
+          score, maxCombo, accuracy: acc,
+          perfectCount: stats.perfect,
+          greatCount: stats.great,
+          goodCount: stats.good,
+          missCount: stats.miss,
+          grade,
+          mods: activeMods(mods),
+          speed: mods.speed,
+          scoreMult,
+          ghost: timeline,
+        });
+      } catch (e) {
+        console.warn('Could not save high score:', e);
+        saveError = e;
+      }
+    }
 
     // Rank
     this.dom.rankText.textContent = grade;
@@ -594,11 +1878,40 @@ export class Game {
     // Accuracy
     this.dom.accText.textContent = acc + '% ACCURACY';
 
-    // Song name
-    this.dom.songPlayed.textContent = song.title;
+    // Keep the run's replay, and the run in the track's history (autoplay
+    // isn't one of the player's attempts, and custom charts aren't tracked)
+    if (this.gd.record) this._saveReplay({ score, accuracy: acc, grade, maxCombo, stats: { ...stats } });
+    if (!replay && !custom && auto == null) {
+      recordRun({
+        title: song.title,
+        songId: song.id,
+        difficulty,
+        mods: activeMods(mods),
+        speed: mods.speed,
+        rate: mods.rate,
+        score,
+        accuracy: acc,
+        grade,
+        maxCombo,
+        stats: { ...stats },
+        failed: this.gd.failed,
+      }).catch(e => console.warn('Could not record run:', e));
+    }
 
-    // New high score banner
-    this.dom.newHighScore.classList.toggle('visible', isNewHigh);
+    // Song name
+    const recordedAuto = replay ? replay.data.auto : auto;
+    const tag = [modsTag(mods), recordedAuto != null ? 'AUTO' : '', replay ? 'REPLAY' : ''].filter(Boolean).join(' ');
+    this.dom.songPlayed.textContent = `${song.title} \u2022 ${custom ? 'CUSTOM' : difficultyInfo(difficulty).label}${tag ? ` \u2022 ${tag}` : ''}`;
+
+    // New high score banner; a replay says whether it matched its run, and
+    // a score that couldn't be saved says so
+    const matched = replay && score === replay.data.result.score && maxCombo === replay.data.result.maxCombo
+      && Object.keys(stats).every(k => stats[k] === replay.data.result.stats[k]);
+    this.dom.newHighScore.textContent = saveError ? saveError.message.toUpperCase()
+      : replay ? (matched ? 'REPLAY VERIFIED' : 'REPLAY MISMATCH') : 'NEW HIGH SCORE!';
+    this.dom.newHighScore.classList.toggle('visible', isNewHigh || !!replay || !!saveError);
+    this.dom.newHighScore.classList.toggle('mismatch', (!!replay && !matched) || !!saveError);
+    this.dom.trackSelectBtn.textContent = this.editing ? 'EDITOR' : 'TRACKS';
 
     // Score with counting animation
     this.dom.scoreText.textContent = '0';
@@ -612,12 +1925,104 @@ export class Game {
     ];
     this.dom.statsGrid.innerHTML = statItems.map(([k, c]) =>
       `<span style="color:${c};text-shadow:0 0 8px ${c}44">${k}</span><span style="text-align:right">${stats[k.toLowerCase()]}</span>`
-    ).join('') + `<span style="color:#ffaa00;margin-top:10px">MAX COMBO</span><span style="text-align:right;margin-top:10px">${maxCombo}x</span>`;
+    ).join('') + `<span style="color:#ffaa00;margin-top:10px">MAX COMBO</span><span style="text-align:right;margin-top:10px">${maxCombo}x</span>`
+      + (holdCount ? `<span style="color:#8b5cf6">HOLDS</span><span style="text-align:right">${stats.held} / ${holdCount}<span style="color:#ff4466;margin-left:8px">${stats.dropped} DROP</span></span>` : '');
+
+    // Side by side with the best this run raced
+    this.dom.ghostCompare.innerHTML = best ? this._comparison(best, { score, accuracy: acc, maxCombo, stats }) : '';
+
+    this._showTiming();
+    this.runGraph.show(this.gd.trace, this.gd.sections, Math.max(this.gd.songDuration * 1000, this.gd.lastT));
 
     this.showView('results');
     this.bgLoop();
   }
 
+  // Timing beside the results: hit-error histogram, mean and spread, early
+  // and late per judgment, accuracy per lane, and (for the player's own
+  // runs) an offer to move the audio offset by the mean error
+  _showTiming() {
+    const { hits, laneStats, auto, replay } = this.gd;
+    this.dom.analysisPanel.hidden = !hits.length;
+    if (!hits.length) return;
+
+    const st = hitErrorStats(hits);
+    drawHitHistogram(this.dom.hitHistogram, hits, [WIN.p, WIN.g, WIN.k], WIN.k + 40, st.mean);
+    const signed = v => `${v > 0 ? '+' : v < 0 ? '\u2212' : ''}${Math.abs(v).toFixed(1)}`;
+    const lean = st.mean > 0 ? ' LATE' : st.mean < 0 ? ' EARLY' : '';
+    this.dom.hitSummary.innerHTML =
+      `<span>MEAN <b>${signed(st.mean)}MS${lean}</b></span>`
+      + `<span>SD <b>${st.sd.toFixed(1)}MS</b></span>`
+      + `<span>UR <b>${Math.round(st.ur)}</b></span>`;
+
+    const judgCols = { PERFECT: '#ffd700', GREAT: '#00f0ff', GOOD: '#00ff88', MISS: '#ff4466' };
+    this.dom.hitSplit.innerHTML = '<span></span><span class="head">EARLY</span><span class="head">LATE</span>'
+      + Object.entries(st.split).map(([j, { early, late }]) =>
+        `<span style="color:${judgCols[j]}">${j}</span><span class="val">${early}</span><span class="val">${late}</span>`
+      ).join('');
+
+    const arrows = ['\u2190', '\u2191', '\u2193', '\u2192'];
+    this.dom.hitLanes.innerHTML = laneStats.map((s, i) => {
+      const judged = s.perfect + s.great + s.good + s.miss;
+      return `<span style="color:${LANE_COLS[i]}"><em>${arrows[i]}</em>${judged ? `${accuracyOf(s)}%` : '\u2014'}</span>`;
+    }).join('');
+
+    const btn = this.dom.applyOffsetBtn;
+    const shift = Math.round(st.mean);
+    btn.hidden = auto != null || !!replay || st.count < OFFSET_MIN_HITS || shift === 0;
+    btn.disabled = false;
+    btn.textContent = `APPLY ${shift > 0 ? '+' : ''}${shift}MS TO AUDIO OFFSET (NOW ${this.settings.audioOffset}MS)`;
+    btn.onclick = () => {
+      this.calibration.setOffset('audioOffset', this.settings.audioOffset + shift);
+      btn.disabled = true;
+      btn.textContent = `AUDIO OFFSET SET TO ${this.settings.audioOffset}MS`;
+    };
+  }
+
+  // Rows of this run against a best record; the better value of each is
+  // marked (fewer is better for misses)
+  _comparison(best, run) {
+    const rows = [
+      ['SCORE', run.score, best.score],
+      ['ACCURACY', run.accuracy, best.accuracy, '%'],
+      ['MAX COMBO', run.maxCombo, best.maxCombo, 'x'],
+      ['PERFECT', run.stats.perfect, best.perfectCount],
+      ['GREAT', run.stats.great, best.greatCount],
+      ['GOOD', run.stats.good, best.goodCount],
+      ['MISS', run.stats.miss, best.missCount, '', true],
+    ];
+    const cell = (v, other, unit, lowWins) => {
+      const cls = v === other ? '' : (v > other) !== !!lowWins ? ' better' : ' worse';
+      return `<span class="val${cls}">${v.toLocaleString()}${unit}</span>`;
+    };
+    return '<span></span><span class="head">THIS RUN</span><span class="head">BEST</span>'
+      + rows.map(([name, mine, theirs, unit = '', lowWins]) =>
+        `<span class="name">${name}</span>${cell(mine, theirs, unit, lowWins)}${cell(theirs, mine, unit, lowWins)}`
+      ).join('');
+  }
+
+  _saveReplay(result) {
+    const { gd } = this;
+    const replay = createReplay({
+      song: gd.song,
+      difficulty: gd.difficulty,
+      custom: gd.custom,
+      auto: gd.auto,
+      mods: gd.mods,
+      seed: gd.seed,
+      lanes: gd.lanes,
+      offsets: { audio: this.settings.audioOffset, visual: this.settings.visualOffset },
+      timing: gd.timing,
+      notes: gd.notes,
+      events: gd.record.events,
+      end: gd.settledTo,
+      result,
+    });
+    saveReplay(replay)
+      .then(() => this.refreshReplays())
+      .catch(e => console.warn('Could not save replay:', e));
+  }
+
   _animateScoreCount(target, duration) {
     const start = performance.now();
     const tick = () => {
@@ -633,7 +2038,7 @@ export class Game {
   // ── Background Loop ───────────────────────────────────────
 
   bgLoop() {
-    if (this.state === 'playing') return;
+    if (this.state === 'playing' || this.state === 'editor' || this.state === 'calibration') return;
     this.renderer.drawBGLoop();
     this._bgAF = requestAnimationFrame(() => this.bgLoop());
   }
@@ -0,0 +1,38 @@
+// ── Ghost Runs ────────────────────────────────────────────────
+// A run's score and accuracy sampled along the song. The best run's
+// timeline is saved with its record, so later runs on the same chart (at
+// the same rate) can race it: the HUD shows how far ahead or behind they are.
+
+import { accuracyOf } from './scores.js';
+
+// Song ms between samples
+const STEP = 500;
+
+export function createTimeline() {
+  return { step: STEP, score: [], acc: [] };
+}
+
+// Accuracy (%, one decimal) so far, or null before anything was judged
+export function runAccuracy(stats) {
+  return stats.perfect + stats.great + stats.good + stats.miss > 0 ? accuracyOf(stats, 1) : null;
+}
+
+// The timeline's { score, acc } at `songMs`, between samples linearly
+// (past its end it stays at the final values; null before it starts)
+export function timelineAt(tl, songMs) {
+  const n = tl.score.length;
+  if (!n || songMs < 0) return null;
+  const i = Math.min(n - 1, Math.floor(songMs / tl.step));
+  const j = Math.min(n - 1, i + 1);
+  const f = i === j ? 0 : songMs / tl.step - i;
+  const lerp = (a, b) => (a == null || b == null ? (b ?? a) : a + (b - a) * f);
+  return { score: Math.round(lerp(tl.score[i], tl.score[j])), acc: lerp(tl.acc[i], tl.acc[j]) };
+}
+
+// Live difference against the ghost: { score, acc } (acc is null until both
+// runs have judged something)
+export function ghostDelta(ghost, songMs, score, acc) {
+  const g = timelineAt(ghost, songMs);
+  if (!g) return null;
+  return { score: score - g.score, acc: acc == null || g.acc == null ? null : acc - g.acc };
+}
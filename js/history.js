@@ -0,0 +1,162 @@
+// ── Track History ─────────────────────────────────────────────
+// Per-track screen over the run history (runs.js): play count, accuracy
+// over time as a chart, and the latest runs. Tier chips narrow it to one
+// chart.
+
+import { listRuns } from './runs.js';
+import { DIFFICULTIES, difficultyInfo } from './songs.js';
+import { modsTag } from './modifiers.js';
+import { GRADE_COLORS } from './scores.js';
+import { escapeHtml } from './utils.js';
+
+// Runs listed under the chart (newest first)
+const SHOWN_RUNS = 30;
+
+export class RunHistory {
+  constructor(game) {
+    this.game = game;
+    this.dom = {};
+
+    this.song = null;
+    // The track's runs, oldest first
+    this.runs = [];
+    // Tier shown ('all' or a difficulty id)
+    this.tier = 'all';
+  }
+
+  init() {
+    this.dom = {
+      title: document.getElementById('historyTitle'),
+      count: document.getElementById('historyCount'),
+      tiers: document.getElementById('historyTiers'),
+      canvas: document.getElementById('historyCv'),
+      list: document.getElementById('historyList'),
+    };
+    document.getElementById('historyBackBtn').addEventListener('click', () => this.close());
+    window.addEventListener('resize', () => {
+      if (this.game.state === 'history') this._drawChart();
+    });
+  }
+
+  async open(song) {
+    this.song = song;
+    this.tier = 'all';
+    try {
+      this.runs = await listRuns(song.title);
+    } catch (e) {
+      console.warn('Run history unavailable:', e);
+      this.runs = [];
+    }
+    this.dom.title.textContent = `${song.title} \u2022 HISTORY`;
+    this.game.showView('history');
+    this._render();
+  }
+
+  close() {
+    this.game.showLobby();
+  }
+
+  _shown() {
+    return this.tier === 'all' ? this.runs : this.runs.filter(r => r.difficulty === this.tier);
+  }
+
+  _render() {
+    this._renderTiers();
+    const runs = this._shown();
+    const cleared = runs.filter(r => !r.failed).length;
+    const best = runs.reduce((m, r) => Math.max(m, r.accuracy), 0);
+    this.dom.count.textContent = runs.length
+      ? `${runs.length} PLAY${runs.length === 1 ? '' : 'S'} \u2022 ${cleared} CLEARED \u2022 BEST ${best}%`
+      : 'NO PLAYS YET';
+    this._drawChart();
+    this._renderList(runs);
+  }
+
+  // ALL, then each tier that has been played
+  _renderTiers() {
+    const played = DIFFICULTIES.filter(d => this.runs.some(r => r.difficulty === d.id));
+    const chips = [{ id: 'all', label: 'ALL' }, ...played];
+    this.dom.tiers.innerHTML = chips.map(d =>
+      `<button class="mod-chip${d.id === this.tier ? ' active' : ''}" data-tier="${d.id}"${d.color ? ` style="color:${d.color}"` : ''}>${d.label}</button>`
+    ).join('');
+    this.dom.tiers.querySelectorAll('[data-tier]').forEach(chip => {
+      chip.addEventListener('click', () => {
+        this.tier = chip.dataset.tier;
+        this._render();
+      });
+    });
+  }
+
+  _renderList(runs) {
+    this.dom.list.innerHTML = runs.slice(-SHOWN_RUNS).reverse().map(r => {
+      const diff = difficultyInfo(r.difficulty);
+      const gc = GRADE_COLORS[r.grade] || '#556';
+      const tag = modsTag(r);
+      const when = new Date(r.date);
+      return `
+        <div class="history-row${r.failed ? ' failed' : ''}">
+          <span class="history-date">${when.toLocaleDateString()} ${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+          <span class="history-diff" style="color:${diff.color}">${diff.label}</span>
+          <span class="history-grade" style="color:${gc}">${r.failed ? 'FAIL' : escapeHtml(r.grade)}</span>
+          <span class="history-score">${r.score.toLocaleString()}</span>
+          <span class="history-acc">${r.accuracy}%</span>
+          <span class="history-mods">${escapeHtml(tag)}</span>
+        </div>`;
+    }).join('');
+  }
+
+  // Accuracy of each run in play order: a line through the runs, dots
+  // coloured by grade (failed runs hollow), gridlines at the grade steps
+  _drawChart() {
+    const cv = this.dom.canvas;
+    const dpr = window.devicePixelRatio || 1;
+    const W = cv.clientWidth, H = cv.clientHeight;
+    cv.width = W * dpr;
+    cv.height = H * dpr;
+    const ctx = cv.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, W, H);
+
+    const padL = 28, padR = 10, padT = 8, padB = 14;
+    const floor = 40;
+    const y = acc => padT + (1 - (Math.max(floor, acc) - floor) / (100 - floor)) * (H - padT - padB);
+
+    ctx.font = "300 8px 'Exo 2', monospace";
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (const g of [60, 70, 80, 90, 100]) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.06)';
+      ctx.beginPath();
+      ctx.moveTo(padL, y(g));
+      ctx.lineTo(W - padR, y(g));
+      ctx.stroke();
+      ctx.fillStyle = 'rgba(255,255,255,0.25)';
+      ctx.fillText(g, padL - 6, y(g));
+    }
+
+    const runs = this._shown();
+    if (!runs.length) return;
+    const x = i => runs.length === 1 ? (padL + W - padR) / 2 : padL + 6 + i / (runs.length - 1) * (W - padL - padR - 12);
+
+    ctx.strokeStyle = 'rgba(0,240,255,0.5)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    runs.forEach((r, i) => (i ? ctx.lineTo(x(i), y(r.accuracy)) : ctx.moveTo(x(i), y(r.accuracy))));
+    ctx.stroke();
+
+    const dot = runs.length > 60 ? 2 : 3;
+    runs.forEach((r, i) => {
+      const c = GRADE_COLORS[r.grade] || '#556';
+      ctx.beginPath();
+      ctx.arc(x(i), y(r.accuracy), dot, 0, Math.PI * 2);
+      if (r.failed) {
+        ctx.strokeStyle = '#ff4466';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      } else {
+        ctx.fillStyle = c;
+        ctx.fill();
+      }
+    });
+  }
+}
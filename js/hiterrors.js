@@ -0,0 +1,81 @@
+// ── Hit Errors ────────────────────────────────────────────────
+// How early or late each press landed against its note, for the results
+// screen. Errors are in real ms (song time over the rate), + = late.
+
+const JUDGMENTS = ['PERFECT', 'GREAT', 'GOOD', 'MISS'];
+// Histogram bucket width (ms)
+const BIN_MS = 5;
+
+// Summary of a run's hits ({ lane, error, judg }): mean, standard
+// deviation and unstable rate (10 × the deviation, as rhythm games quote
+// it) of the presses inside the windows, and early / late counts per
+// judgment (presses too far off to count are the MISS row)
+export function hitErrorStats(hits) {
+  const inside = hits.filter(h => h.judg !== 'MISS');
+  const n = inside.length;
+  const mean = n ? inside.reduce((s, h) => s + h.error, 0) / n : 0;
+  const sd = n > 1 ? Math.sqrt(inside.reduce((s, h) => s + (h.error - mean) ** 2, 0) / (n - 1)) : 0;
+  const split = {};
+  for (const j of JUDGMENTS) split[j] = { early: 0, late: 0 };
+  for (const h of hits) {
+    if (h.error < 0) split[h.judg].early++;
+    else if (h.error > 0) split[h.judg].late++;
+  }
+  return { count: n, mean, sd, ur: sd * 10, split };
+}
+
+// Histogram of the errors across ±range ms, over bands for the timing
+// windows (`windows`: [perfect, great, good] half-widths), with the mean marked
+export function drawHitHistogram(cv, hits, windows, range, mean) {
+  const dpr = window.devicePixelRatio || 1;
+  const W = cv.clientWidth, H = cv.clientHeight;
+  cv.width = W * dpr;
+  cv.height = H * dpr;
+  const ctx = cv.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, W, H);
+
+  const padB = 12;
+  const x = ms => (ms + range) / (2 * range) * W;
+
+  // Window bands, widest first: good, great, perfect
+  const bandCols = ['rgba(0,255,136,0.05)', 'rgba(0,240,255,0.07)', 'rgba(255,215,0,0.09)'];
+  [...windows].reverse().forEach((w, i) => {
+    ctx.fillStyle = bandCols[i];
+    ctx.fillRect(x(-w), 0, x(w) - x(-w), H - padB);
+  });
+
+  const bins = new Array(Math.ceil(2 * range / BIN_MS)).fill(0);
+  for (const h of hits) {
+    const b = Math.floor((h.error + range) / BIN_MS);
+    if (b >= 0 && b < bins.length) bins[b]++;
+  }
+  const peak = Math.max(1, ...bins);
+  const bw = W / bins.length;
+  bins.forEach((c, i) => {
+    if (!c) return;
+    const ms = i * BIN_MS - range + BIN_MS / 2;
+    const a = Math.abs(ms);
+    ctx.fillStyle = a <= windows[0] ? '#ffd700' : a <= windows[1] ? '#00f0ff' : a <= windows[2] ? '#00ff88' : '#ff4466';
+    const h = c / peak * (H - padB - 4);
+    ctx.fillRect(i * bw + 0.5, H - padB - h, Math.max(1, bw - 1), h);
+  });
+
+  // Centre line and mean
+  ctx.fillStyle = 'rgba(255,255,255,0.25)';
+  ctx.fillRect(x(0) - 0.5, 0, 1, H - padB);
+  if (hits.length) {
+    ctx.fillStyle = '#ff00ff';
+    ctx.fillRect(x(mean) - 1, 0, 2, H - padB);
+  }
+
+  ctx.font = "300 8px 'Exo 2', monospace";
+  ctx.fillStyle = 'rgba(255,255,255,0.3)';
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';
+  ctx.fillText('EARLY', 2, H);
+  ctx.textAlign = 'right';
+  ctx.fillText('LATE', W - 2, H);
+  ctx.textAlign = 'center';
+  ctx.fillText('0', x(0), H);
+}
@@ -3,13 +3,18 @@
 
 export class InputManager {
   constructor() {
-    this.onHit = null;      // callback(lane)
+    this.onHit = null;      // callback(lane, timeStamp)
+    this.onRelease = null;  // callback(lane, timeStamp) when a lane key is let go
     this.onBack = null;     // callback() for escape/back
     this.onSelect = null;   // callback() for enter/select
-    this.onNav = null;      // callback(direction) for menu navigation: 'up'|'down'
+    this.onNav = null;      // callback(direction) for menu navigation: 'up'|'down'|'left'|'right'
     this.keysDown = new Set();
+    // Lane buttons from setupTouchButtons and what letting go of one calls
+    this._touchBtns = [];
+    this._touchRelease = null;
     this._boundKeyDown = this._keyDown.bind(this);
     this._boundKeyUp = this._keyUp.bind(this);
+    this._boundBlur = this._blur.bind(this);
   }
 
   // Keyboard mapping: key → lane
@@ -20,14 +25,45 @@ export class InputManager {
     'd': 3, 'arrowright': 3,
   };
 
+  // Event time on the performance.now() clock (old browsers stamp epoch ms)
+  static stamp(e) {
+    const now = performance.now();
+    return e.timeStamp > 0 && e.timeStamp <= now + 1000 ? e.timeStamp : now;
+  }
+
   init() {
     window.addEventListener('keydown', this._boundKeyDown);
     window.addEventListener('keyup', this._boundKeyUp);
+    window.addEventListener('blur', this._boundBlur);
   }
 
   destroy() {
     window.removeEventListener('keydown', this._boundKeyDown);
     window.removeEventListener('keyup', this._boundKeyUp);
+    window.removeEventListener('blur', this._boundBlur);
+  }
+
+  // Lanes held down right now, by key or touch
+  heldLanes() {
+    const lanes = new Set();
+    for (const k of this.keysDown) {
+      if (k in InputManager.KEY_MAP) lanes.add(InputManager.KEY_MAP[k]);
+    }
+    this._touchBtns.forEach((btn, i) => { if (btn.classList.contains('pressed')) lanes.add(i); });
+    return lanes;
+  }
+
+  // No keyup or touchend arrives once the window loses focus, so let go
+  // of everything that was held
+  _blur() {
+    const keyLanes = new Set([...this.keysDown].filter(k => k in InputManager.KEY_MAP).map(k => InputManager.KEY_MAP[k]));
+    this.keysDown.clear();
+    for (const lane of keyLanes) this.onRelease?.(lane);
+    this._touchBtns.forEach((btn, i) => {
+      if (!btn.classList.contains('pressed')) return;
+      btn.classList.remove('pressed');
+      this._touchRelease?.(i);
+    });
   }
 
   _keyDown(e) {
@@ -52,25 +88,41 @@ export class InputManager {
     if (key === 'arrowdown' || key === 's') {
       if (this.onNav) { e.preventDefault(); this.onNav('down'); return; }
     }
+    if (key === 'arrowleft' || key === 'a') {
+      if (this.onNav) { e.preventDefault(); this.onNav('left'); return; }
+    }
+    if (key === 'arrowright' || key === 'd') {
+      if (this.onNav) { e.preventDefault(); this.onNav('right'); return; }
+    }
 
     // Game hit input
     if (key in InputManager.KEY_MAP && !this.keysDown.has(key)) {
       this.keysDown.add(key);
       e.preventDefault();
-      this.onHit?.(InputManager.KEY_MAP[key]);
+      this.onHit?.(InputManager.KEY_MAP[key], InputManager.stamp(e));
     }
   }
 
   _keyUp(e) {
-    this.keysDown.delete(e.key.toLowerCase());
+    const key = e.key.toLowerCase();
+    if (!this.keysDown.delete(key) || !(key in InputManager.KEY_MAP)) return;
+
+    // Only release the lane once no other key bound to it is still held
+    const lane = InputManager.KEY_MAP[key];
+    for (const k of this.keysDown) {
+      if (InputManager.KEY_MAP[k] === lane) return;
+    }
+    this.onRelease?.(lane, InputManager.stamp(e));
   }
 
   // Setup touch buttons (called from game)
-  setupTouchButtons(container, callback) {
+  setupTouchButtons(container, callback, releaseCallback) {
     const arrows = ['\u2190', '\u2191', '\u2193', '\u2192'];
     const colors = ['#00ffff', '#ff00ff', '#00ff66', '#ffaa00'];
 
     container.innerHTML = '';
+    this._touchBtns = [];
+    this._touchRelease = releaseCallback;
     for (let i = 0; i < 4; i++) {
       const btn = document.createElement('button');
       btn.className = 'tbtn';
@@ -82,22 +134,28 @@ export class InputManager {
         text-shadow: 0 0 16px ${colors[i]};
         box-shadow: 0 0 20px ${colors[i]}33, inset 0 1px 0 rgba(255,255,255,0.08);
       `;
+      const release = e => {
+        if (!btn.classList.contains('pressed')) return;
+        btn.classList.remove('pressed');
+        releaseCallback?.(i, InputManager.stamp(e));
+      };
       // Touch events with visual feedback
       btn.addEventListener('touchstart', e => {
         e.preventDefault();
         btn.classList.add('pressed');
-        callback(i);
+        callback(i, InputManager.stamp(e));
       });
-      btn.addEventListener('touchend', () => btn.classList.remove('pressed'));
-      btn.addEventListener('touchcancel', () => btn.classList.remove('pressed'));
+      btn.addEventListener('touchend', release);
+      btn.addEventListener('touchcancel', release);
       // Mouse fallback
-      btn.addEventListener('mousedown', () => {
+      btn.addEventListener('mousedown', e => {
         btn.classList.add('pressed');
-        callback(i);
+        callback(i, InputManager.stamp(e));
       });
-      btn.addEventListener('mouseup', () => btn.classList.remove('pressed'));
-      btn.addEventListener('mouseleave', () => btn.classList.remove('pressed'));
+      btn.addEventListener('mouseup', release);
+      btn.addEventListener('mouseleave', release);
       container.appendChild(btn);
+      this._touchBtns.push(btn);
     }
   }
 }
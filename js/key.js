@@ -0,0 +1,107 @@
+// ── Key Detection ─────────────────────────────────────────────
+// Musical key of a decoded AudioBuffer: a pitch-class (chroma) profile
+// summed over the track, matched against the Krumhansl–Kessler key
+// profiles. Names and Camelot codes use the catalog's spelling.
+
+import { createFFT, downmix } from './analysis.js';
+import { clamp } from './utils.js';
+
+const FFT_SIZE = 4096;       // ~2.7Hz bins at the analysis rate: enough to split semitones from ~80Hz
+const HOP = 2048;
+const MIN_HZ = 80;
+const MAX_HZ = 2000;         // above this, harmonics blur the chroma more than they help
+const BASS_HZ = 250;         // bass lines lean on the tonic, so this range counts extra
+const BASS_WEIGHT = 3;
+const SILENCE = 1e-3;        // frames quieter than this (mean magnitude) are skipped
+
+const PITCHES = ['C', 'C\u266F', 'D', 'D\u266F', 'E', 'F', 'F\u266F', 'G', 'G\u266F', 'A', 'A\u266F', 'B'];
+
+// Krumhansl–Kessler probe-tone ratings, tonic first
+const MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Camelot wheel: C major is 8B and A minor 8A; each step clockwise is a fifth up
+export function camelotCode(tonic, mode) {
+  const fifths = (tonic * 7) % 12;
+  const number = (fifths + (mode === 'major' ? 7 : 4)) % 12 + 1;
+  return `${number}${mode === 'major' ? 'B' : 'A'}`;
+}
+
+// Share of the track's spectral magnitude in each pitch class (C first)
+export function chromaProfile(buffer) {
+  const { samples, rate } = downmix(buffer);
+  const fft = createFFT(FFT_SIZE);
+  const re = new Float64Array(FFT_SIZE);
+  const im = new Float64Array(FFT_SIZE);
+  const win = new Float64Array(FFT_SIZE);
+  for (let i = 0; i < FFT_SIZE; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE);
+
+  // Pitch class and weight of each FFT bin in range (-1 outside it)
+  const pitchOf = new Int8Array(FFT_SIZE / 2).fill(-1);
+  const weight = new Float64Array(FFT_SIZE / 2);
+  for (let k = 1; k < FFT_SIZE / 2; k++) {
+    const hz = k * rate / FFT_SIZE;
+    if (hz < MIN_HZ || hz > MAX_HZ) continue;
+    const midi = Math.round(69 + 12 * Math.log2(hz / 440));
+    pitchOf[k] = ((midi % 12) + 12) % 12;
+    weight[k] = hz < BASS_HZ ? BASS_WEIGHT : 1;
+  }
+
+  const chroma = new Float64Array(12);
+  const frame = new Float64Array(12);
+  for (let start = 0; start + FFT_SIZE <= samples.length; start += HOP) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = samples[start + i] * win[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    frame.fill(0);
+    let total = 0;
+    for (let k = 1; k < FFT_SIZE / 2; k++) {
+      if (pitchOf[k] < 0) continue;
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) * weight[k];
+      frame[pitchOf[k]] += mag;
+      total += mag;
+    }
+    // Every audible frame counts equally, so loud sections don't drown quiet ones
+    if (total / FFT_SIZE < SILENCE) continue;
+    for (let p = 0; p < 12; p++) chroma[p] += frame[p] / total;
+  }
+
+  const sum = chroma.reduce((a, b) => a + b, 0) || 1;
+  return Array.from(chroma, v => v / sum);
+}
+
+function correlation(a, b) {
+  const mean = v => v.reduce((s, x) => s + x, 0) / v.length;
+  const ma = mean(a), mb = mean(b);
+  let num = 0, da = 0, db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+// { key: 'E minor', camelot: '9A', confidence } — confidence is the lead
+// of the best key's profile correlation over the runner-up (0..1)
+export function detectKey(buffer) {
+  const chroma = chromaProfile(buffer);
+  const scores = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const [mode, profile] of [['major', MAJOR], ['minor', MINOR]]) {
+      const rotated = profile.map((_, i) => profile[(i - tonic + 12) % 12]);
+      scores.push({ tonic, mode, r: correlation(chroma, rotated) });
+    }
+  }
+  scores.sort((a, b) => b.r - a.r);
+
+  const [best, next] = scores;
+  return {
+    key: `${PITCHES[best.tonic]} ${best.mode}`,
+    camelot: camelotCode(best.tonic, best.mode),
+    confidence: Math.round(clamp(best.r - next.r, 0, 1) * 100) / 100,
+  };
+}
@@ -10,3 +10,8 @@ try {
   document.body.innerHTML = `<div style="color:#ff4466;font:16px monospace;padding:40px;text-align:center">
     Failed to initialize. Check console for errors.<br>${e.message}</div>`;
 }
+
+// The service worker keeps the app shell available offline
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('sw.js').catch(e => console.warn('Service worker registration failed:', e));
+}
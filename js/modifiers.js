@@ -0,0 +1,91 @@
+// ── Gameplay Modifiers ────────────────────────────────────────
+// Picked in the lobby before a song. Each one scales the score, and the
+// active set is saved with records so modded runs can be told apart.
+
+import { createRNG } from './utils.js';
+
+// Scroll speed multipliers (notes take TRAVEL / speed ms to reach the hit zone)
+export const SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2, 3];
+
+// Song rates (playback speed). Scores are kept apart per rate, so rate
+// doesn't scale them.
+export const RATES = [0.5, 0.6, 0.7, 0.75, 0.8, 0.9, 1, 1.1, 1.2, 1.25, 1.3, 1.4, 1.5, 1.75, 2];
+
+// Toggles in display order. `short` tags records and results; `mult` scales
+// the score; an `excludes` partner is switched off when this one goes on.
+export const MODIFIERS = [
+  { id: 'mirror', label: 'MIRROR',  short: 'MR', mult: 1,    excludes: 'random' },
+  { id: 'random', label: 'RANDOM',  short: 'RD', mult: 1,    excludes: 'mirror' },
+  { id: 'hidden', label: 'HIDDEN',  short: 'HD', mult: 1.06 },
+  { id: 'sudden', label: 'SUDDEN',  short: 'SD', mult: 1.06 },
+  { id: 'nofail', label: 'NO FAIL', short: 'NF', mult: 0.5 },
+];
+
+// Complete modifier state from whatever was saved (missing = off)
+export function normalizeMods(saved = {}) {
+  const mods = {
+    speed: SPEEDS.includes(saved && saved.speed) ? saved.speed : 1,
+    rate: RATES.includes(saved && saved.rate) ? saved.rate : 1,
+    // Time-stretch instead of resampling when the rate isn't 1
+    pitch: !!(saved && saved.pitch),
+  };
+  for (const m of MODIFIERS) mods[m.id] = !!(saved && saved[m.id]);
+  return mods;
+}
+
+// Flip a toggle, honouring exclusive pairs; returns the new state
+export function toggleMod(mods, id) {
+  const next = { ...mods, [id]: !mods[id] };
+  const def = MODIFIERS.find(m => m.id === id);
+  if (next[id] && def && def.excludes) next[def.excludes] = false;
+  return next;
+}
+
+// Ids of the active toggles, in display order
+export function activeMods(mods) {
+  return MODIFIERS.filter(m => mods[m.id]).map(m => m.id);
+}
+
+// Next rate up (dir 1) or down (-1), stopping at the ends
+export function stepRate(rate, dir) {
+  const i = RATES.indexOf(rate);
+  return RATES[Math.max(0, Math.min(RATES.length - 1, (i < 0 ? RATES.indexOf(1) : i) + dir))];
+}
+
+// Product of the active toggles' multipliers (speed and rate don't change it)
+export function scoreMultiplier(mods) {
+  return MODIFIERS.reduce((m, def) => mods[def.id] ? m * def.mult : m, 1);
+}
+
+// Compact tag for records and results, e.g. 'HD NF 1.5X RATE 0.8' ('' when
+// unmodded). Takes a mod state or a saved record's { mods: [ids], speed, rate }.
+export function modsTag(src) {
+  const ids = Array.isArray(src.mods) ? src.mods : activeMods(src);
+  const tags = MODIFIERS.filter(m => ids.includes(m.id)).map(m => m.short);
+  if (src.speed && src.speed !== 1) tags.push(`${src.speed}X`);
+  if (src.rate && src.rate !== 1) tags.push(`RATE ${src.rate}`);
+  return tags.join(' ');
+}
+
+// Lane remap for a run: mirror flips left/right, random shuffles all four
+// lanes (never leaving them unchanged). `seed` makes a shuffle repeatable.
+export function laneMap(mods, seed) {
+  if (mods.mirror) return [3, 2, 1, 0];
+  if (!mods.random) return [0, 1, 2, 3];
+  const rng = createRNG(seed);
+  let map;
+  do {
+    map = [0, 1, 2, 3];
+    for (let i = map.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [map[i], map[j]] = [map[j], map[i]];
+    }
+  } while (map.every((l, i) => l === i));
+  return map;
+}
+
+// Notes moved to their remapped lanes (in place; returns them)
+export function remapLanes(notes, map) {
+  for (const n of notes) n.lane = map[n.lane];
+  return notes;
+}
@@ -0,0 +1,63 @@
+// ── Offline Cache ─────────────────────────────────────────────
+// Downloaded catalog audio and the charts generated from it, kept in
+// IndexedDB so tracks play without the network after their first load.
+// Everything is keyed by the track's audio URL.
+
+import { transact, dbGet, dbGetAll, dbPut } from './db.js';
+import { packNotes, unpackNotes } from './charts.js';
+import { GENERATOR_VERSION } from './beatmap.js';
+
+const chartKey = (song, difficulty) => `${song.file}|${difficulty}`;
+
+// Raw bytes of a cached track, or null
+export async function loadCachedAudio(song) {
+  const rec = await dbGet('audio', song.file);
+  return rec ? rec.bytes : null;
+}
+
+// `bytes` must not be handed to decodeAudioData afterwards (it detaches them)
+export function cacheAudio(song, bytes) {
+  return transact(['audio', 'tracks'], 'readwrite', (audio, tracks) => {
+    audio.put({ id: song.file, bytes });
+    tracks.put({ id: song.file, title: song.title, size: bytes.byteLength, savedAt: Date.now() });
+  });
+}
+
+// Generated chart for a track and tier, or null if none (or a stale one) is cached
+export async function loadCachedChart(song, difficulty) {
+  const rec = await dbGet('charts', chartKey(song, difficulty));
+  if (!rec || rec.version !== GENERATOR_VERSION) return null;
+  return { difficulty, timing: rec.timing, notes: unpackNotes(rec.notes, rec.timing), sections: rec.sections || null };
+}
+
+export function cacheChart(song, chart) {
+  return dbPut('charts', {
+    key: chartKey(song, chart.difficulty),
+    track: song.file,
+    version: GENERATOR_VERSION,
+    timing: chart.timing,
+    notes: packNotes(chart.notes),
+    sections: chart.sections || null,
+  });
+}
+
+// Cached tracks: [{ id, title, size, savedAt }] (id is the audio URL)
+export function listCachedTracks() {
+  return dbGetAll('tracks');
+}
+
+// Drop a track's audio and every chart generated from it
+export function evictTrack(url) {
+  return transact(['audio', 'tracks', 'charts'], 'readwrite', (audio, tracks, charts) => {
+    audio.delete(url);
+    tracks.delete(url);
+    charts.delete(IDBKeyRange.bound(`${url}|`, `${url}|\uffff`));
+  });
+}
+
+// Ask the browser not to clear our storage under pressure (best effort)
+export function requestPersistence() {
+  if (navigator.storage && navigator.storage.persist) {
+    navigator.storage.persist().catch(() => {});
+  }
+}
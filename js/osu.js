@@ -0,0 +1,123 @@
+// ── osu!mania Charts ──────────────────────────────────────────
+// Parses osu!mania 4K .osu beatmaps into Beat Rush note lists
+
+import { msToBeat } from './timing.js';
+
+const KEYS = 4;
+
+// Guess a chart tier from the difficulty name, falling back to OD
+const TIER_WORDS = [
+  [/beginner|easy/i, 'easy'],
+  [/normal/i, 'normal'],
+  [/hard|hyper|advanced/i, 'hard'],
+  [/insane|expert|extra|another|maximum|extreme/i, 'expert'],
+];
+
+function tierFor(version, od) {
+  for (const [re, tier] of TIER_WORDS) {
+    if (re.test(version)) return tier;
+  }
+  return od < 4 ? 'easy' : od < 6 ? 'normal' : od < 8 ? 'hard' : 'expert';
+}
+
+// Split into { section: [lines] }; key/value sections are read on demand
+function readSections(text) {
+  const sections = {};
+  let current = null;
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('//')) continue;
+    const m = line.match(/^\[(.+)\]$/);
+    if (m) {
+      current = sections[m[1]] = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  return sections;
+}
+
+function readKeyValues(lines = []) {
+  const out = {};
+  for (const line of lines) {
+    const i = line.indexOf(':');
+    if (i > 0) out[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+  }
+  return out;
+}
+
+// Uninherited timing points → beat-based timing (offset + BPM segments)
+function readTiming(lines = []) {
+  const points = lines
+    .map(l => l.split(',').map(v => parseFloat(v)))
+    // Inherited (green) lines only change scroll speed; they have negative beat lengths
+    .filter(p => isFinite(p[0]) && p[1] > 0 && (p.length < 7 || p[6] === 1))
+    .sort((a, b) => a[0] - b[0]);
+  if (!points.length) throw new Error('Beatmap has no timing points');
+
+  const bpms = [];
+  let beat = 0;
+  points.forEach(([time, beatLength], i) => {
+    if (i > 0) {
+      const [prevTime, prevLength] = points[i - 1];
+      beat += (time - prevTime) / prevLength;
+    }
+    bpms.push({ beat, bpm: 60000 / beatLength });
+  });
+  return { offset: -points[0][0] / 1000, bpms, stops: [] };
+}
+
+// Parse .osu text; throws with a clear reason for anything that isn't 4K mania
+export function parseOsu(text) {
+  if (!/^\s*osu file format v\d+/.test(text)) throw new Error('Not an .osu beatmap');
+  const sections = readSections(text);
+  const general = readKeyValues(sections.General);
+  const meta = readKeyValues(sections.Metadata);
+  const diff = readKeyValues(sections.Difficulty);
+
+  if (general.Mode !== '3') throw new Error('Not an osu!mania beatmap (only mania charts can be imported)');
+  const keys = parseInt(diff.CircleSize);
+  if (keys !== KEYS) {
+    throw new Error(`This is a ${keys || '?'}K chart \u2014 Beat Rush only plays ${KEYS}K`);
+  }
+
+  const timing = readTiming(sections.TimingPoints);
+  const notes = [];
+  for (const line of sections.HitObjects || []) {
+    const parts = line.split(',');
+    const x = parseInt(parts[0]);
+    const time = parseInt(parts[2]);
+    const type = parseInt(parts[3]);
+    if (!isFinite(x) || !isFinite(time)) continue;
+
+    const lane = Math.min(KEYS - 1, Math.max(0, Math.floor(x * KEYS / 512)));
+    const note = { t: time, beat: msToBeat(timing, time), lane, hit: false, missed: false };
+    // Type bit 7 marks a hold; its end time leads the extras field
+    if (type & 128) {
+      const end = parseInt((parts[5] || '').split(':')[0]);
+      if (end > time) {
+        Object.assign(note, {
+          end, endBeat: msToBeat(timing, end),
+          holding: false, held: false, dropped: false,
+        });
+      }
+    }
+    notes.push(note);
+  }
+  if (!notes.length) throw new Error('Beatmap has no hit objects');
+  notes.sort((a, b) => a.t - b.t || a.lane - b.lane);
+
+  const od = parseFloat(diff.OverallDifficulty) || 5;
+  return {
+    title: meta.Title || '',
+    artist: meta.Artist || '',
+    music: general.AudioFilename || '',
+    timing,
+    charts: [{
+      difficulty: tierFor(meta.Version || '', od),
+      meter: Math.round(od),
+      timing,
+      notes,
+    }],
+  };
+}
@@ -0,0 +1,148 @@
+// ── Practice Mode ─────────────────────────────────────────────
+// Setup screen for drilling part of a chart: pick A and B (or a chart
+// section), a rate, then loop it. The loops themselves run in Game; their
+// accuracies come back here. Nothing from practice is ever scored.
+
+import { RATES } from './modifiers.js';
+import { msToBeat, beatToMs } from './timing.js';
+import { clamp } from './utils.js';
+
+// Shortest loop allowed (ms)
+const MIN_SPAN = 2000;
+// Loop accuracies listed under the range (newest last)
+const SHOWN_LOOPS = 12;
+
+// m:ss.s
+function formatMs(ms) {
+  const s = Math.max(0, ms) / 1000;
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+export class Practice {
+  constructor(game) {
+    this.game = game;
+    this.dom = {};
+
+    this.song = null;
+    // Generated chart being drilled ({ difficulty, timing, notes, sections })
+    this.chart = null;
+    // Loop range (song ms) and song rate
+    this.start = 0;
+    this.end = 0;
+    this.rate = 1;
+    // Index of the chart section the range was picked from (-1 = dragged)
+    this.section = -1;
+    // Accuracy (%) of each finished loop this session
+    this.loops = [];
+  }
+
+  init() {
+    this.dom = {
+      song: document.getElementById('practiceSong'),
+      sections: document.getElementById('practiceSections'),
+      a: document.getElementById('practiceA'),
+      b: document.getElementById('practiceB'),
+      aVal: document.getElementById('practiceAVal'),
+      bVal: document.getElementById('practiceBVal'),
+      rates: document.getElementById('practiceRates'),
+      loops: document.getElementById('practiceLoops'),
+    };
+
+    this.dom.a.addEventListener('input', () => this.setRange(+this.dom.a.value, this.end, 'a'));
+    this.dom.b.addEventListener('input', () => this.setRange(this.start, +this.dom.b.value, 'b'));
+    document.getElementById('practiceStartBtn').addEventListener('click', () => this.begin());
+    document.getElementById('practiceBackBtn').addEventListener('click', () => this.close());
+  }
+
+  // A new chart starts out looping its first section
+  open(song, chart) {
+    const fresh = song !== this.song || chart.difficulty !== (this.chart && this.chart.difficulty);
+    this.song = song;
+    this.chart = chart;
+    if (fresh) {
+      this.loops = [];
+      const first = (chart.sections || [])[0];
+      const durationMs = this.game.audio.duration * 1000;
+      this.dom.a.max = this.dom.b.max = Math.floor(durationMs);
+      if (first) this.setRange(first.start, first.end, 'a', 0);
+      else this.setRange(0, Math.min(durationMs, 30000));
+    }
+    this.dom.song.textContent = `${song.title} \u2022 PRACTICE`;
+    this._renderSections();
+    this._renderRates();
+    this._renderLoops();
+    this.game.showView('practice');
+    this.game.bgLoop();
+  }
+
+  close() {
+    this.game.showLobby();
+  }
+
+  // Loop from A to B at the chosen rate
+  begin() {
+    if (!this.song) return;
+    this.game.startPractice(this.song, this.chart, { start: this.start, end: this.end, rate: this.rate });
+  }
+
+  // Back from a practice run with the loops it finished
+  finish(loops) {
+    this.loops = this.loops.concat(loops);
+    this.open(this.song, this.chart);
+  }
+
+  // A and B snap to the chart's beats and stay MIN_SPAN apart; `moved`
+  // says which handle the player is dragging, so the other one gives way
+  setRange(start, end, moved = 'a', section = -1) {
+    const durationMs = this.game.audio.duration * 1000;
+    const snap = ms => clamp(beatToMs(this.chart.timing, Math.round(msToBeat(this.chart.timing, ms))), 0, durationMs);
+    start = snap(start);
+    end = snap(end);
+    if (end - start < MIN_SPAN) {
+      if (moved === 'a') end = Math.min(durationMs, start + MIN_SPAN);
+      else start = Math.max(0, end - MIN_SPAN);
+    }
+    this.start = Math.round(start);
+    this.end = Math.round(end);
+    this.section = section;
+    this.dom.a.value = this.start;
+    this.dom.b.value = this.end;
+    this.dom.aVal.textContent = formatMs(this.start);
+    this.dom.bVal.textContent = formatMs(this.end);
+    this.dom.sections.querySelectorAll('.practice-section').forEach((chip, i) => {
+      chip.classList.toggle('active', i === section);
+    });
+  }
+
+  _renderSections() {
+    const sections = this.chart.sections || [];
+    this.dom.sections.innerHTML = sections.length
+      ? sections.map(s => `<button class="practice-section">${s.name.toUpperCase()}<span>${formatMs(s.start)}</span></button>`).join('')
+      : '<div class="practice-empty">NO SECTIONS \u2014 DRAG A AND B</div>';
+    this.dom.sections.querySelectorAll('.practice-section').forEach((chip, i) => {
+      chip.addEventListener('click', () => this.setRange(sections[i].start, sections[i].end, 'a', i));
+    });
+    this.setRange(this.start, this.end, 'a', this.section);
+  }
+
+  // Practice only slows songs down
+  _renderRates() {
+    this.dom.rates.innerHTML = RATES.filter(r => r <= 1).map(r =>
+      `<button class="mod-chip${r === this.rate ? ' active' : ''}" data-rate="${r}">${r.toFixed(2)}\u00D7</button>`
+    ).join('');
+    this.dom.rates.querySelectorAll('[data-rate]').forEach(chip => {
+      chip.addEventListener('click', () => {
+        this.rate = +chip.dataset.rate;
+        this._renderRates();
+      });
+    });
+  }
+
+  _renderLoops() {
+    const shown = this.loops.slice(-SHOWN_LOOPS);
+    const first = this.loops.length - shown.length;
+    this.dom.loops.innerHTML = shown.length
+      ? shown.map((acc, i) => `<span><em>${first + i + 1}</em>${acc}%</span>`).join('')
+      : '';
+  }
+}
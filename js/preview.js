@@ -0,0 +1,128 @@
+// ── Song Preview ──────────────────────────────────────────────
+// Looping chorus preview for the highlighted lobby track. Clips come from
+// whatever is cheapest: the decoded track, a local file, the offline cache,
+// or an HTTP range request for part of the file. Clips are kept in memory.
+
+import { downmix } from './analysis.js';
+import { loadCachedAudio } from './offline.js';
+
+const CLIP_SECONDS = 12;
+const FADE = 1;               // crossfade between loop passes (s)
+const DEBOUNCE_MS = 350;      // scrolling through the list doesn't start every preview
+const MAX_CLIPS = 8;
+// Range requests: the chorus usually sits a little before the middle
+const RANGE_AT = 0.4;
+const RANGE_BYTES = 640 * 1024;       // ~25s at 192kbps
+const RANGE_FALLBACK_AT = 1024 * 1024;
+const RANGE_SKIP = 0.3;               // s dropped from a mid-file clip while the decoder syncs
+
+// Start (s) of the loudest `seconds`-long stretch, in half-second steps
+function loudestSpan(buffer, seconds) {
+  const { samples, rate } = downmix(buffer);
+  const block = Math.floor(rate / 2);
+  const energy = [];
+  for (let i = 0; i + block <= samples.length; i += block) {
+    let e = 0;
+    for (let k = i; k < i + block; k++) e += samples[k] * samples[k];
+    energy.push(e);
+  }
+  const span = Math.min(energy.length, seconds * 2);
+  let sum = 0, best = 0, bestSum = -1;
+  for (let i = 0; i < energy.length; i++) {
+    sum += energy[i];
+    if (i >= span) sum -= energy[i - span];
+    if (i >= span - 1 && sum > bestSum) { bestSum = sum; best = i - span + 1; }
+  }
+  return best / 2;
+}
+
+export class SongPreview {
+  constructor(audio) {
+    this.audio = audio;
+    // song.id → { buffer, start, length }
+    this.clips = new Map();
+    this.song = null;
+    this._timer = 0;
+    this._token = 0;
+  }
+
+  // Preview `song` after a short pause; `track` is the game's decoded song
+  // and analysis, used when they belong to it
+  request(song, track = null) {
+    if (song === this.song) return;
+    this.stop();
+    this.song = song;
+    const token = this._token;
+    this._timer = setTimeout(() => this._start(song, track, token), DEBOUNCE_MS);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._token++;
+    this.song = null;
+    if (this.audio.ctx) this.audio.stopPreview();
+  }
+
+  async _start(song, track, token) {
+    const audio = this.audio;
+    // Sound needs a click or key press on the page first
+    if (navigator.userActivation && !navigator.userActivation.hasBeenActive) {
+      this.song = null;
+      return;
+    }
+    audio.init();
+    await audio.resume();
+    if (token !== this._token) return;
+    if (audio.ctx.state !== 'running') {
+      this.song = null;
+      return;
+    }
+    if (!this.clips.has(song.id)) {
+      try {
+        this.clips.set(song.id, await this._makeClip(song, track));
+        // Oldest clips go first
+        if (this.clips.size > MAX_CLIPS) this.clips.delete(this.clips.keys().next().value);
+      } catch (e) {
+        console.warn('No preview for', song.title, e);
+      }
+    }
+    const clip = this.clips.get(song.id);
+    if (token !== this._token || !clip) return;
+    audio.playPreview(clip.buffer, clip.start, clip.length, FADE);
+  }
+
+  async _makeClip(song, track) {
+    const audio = this.audio;
+    if (track && track.buffer) return this._clipFrom(track.buffer, track.analysis);
+    if (song.local) return this._clipFrom(await audio.decodeClip(await song.blob.arrayBuffer()));
+
+    const cached = await loadCachedAudio(song).catch(() => null);
+    if (cached) return this._clipFrom(await audio.decodeClip(cached));
+
+    // Part of the file only: ask for the size first, then a chunk near the chorus
+    const { total } = await audio.fetchSongRange(song.file, 0, 2);
+    const start = total ? Math.floor(total * RANGE_AT) : RANGE_FALLBACK_AT;
+    const { bytes } = await audio.fetchSongRange(song.file, start, RANGE_BYTES);
+    const buffer = await audio.decodeClip(bytes);
+    return this._slice(buffer, RANGE_SKIP, Math.min(CLIP_SECONDS, buffer.duration - RANGE_SKIP));
+  }
+
+  // The first chorus when the track has been analysed, else the loudest stretch
+  _clipFrom(buffer, analysis = null) {
+    const chorus = analysis && analysis.sections.find(s => s.label === 'chorus');
+    const start = chorus ? chorus.start / 1000 : loudestSpan(buffer, CLIP_SECONDS);
+    return this._slice(buffer, start, Math.min(CLIP_SECONDS, buffer.duration - start));
+  }
+
+  // Copy just the clip, so full tracks aren't kept alive by the cache
+  _slice(buffer, start, length) {
+    if (!(length > FADE * 2)) throw new Error('Clip too short to preview');
+    const from = Math.floor(start * buffer.sampleRate);
+    const frames = Math.floor(length * buffer.sampleRate);
+    const clip = this.audio.ctx.createBuffer(buffer.numberOfChannels, frames, buffer.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      clip.copyToChannel(buffer.getChannelData(c).subarray(from, from + frames), c);
+    }
+    return { buffer: clip, start: 0, length: frames / buffer.sampleRate };
+  }
+}
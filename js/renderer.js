@@ -17,7 +17,8 @@ if (typeof CanvasRenderingContext2D !== 'undefined' &&
   };
 }
 
-import { lerp, hsl, clamp } from './utils.js';
+import { lerp, hsl, clamp, easeOutCubic } from './utils.js';
+import { isHold } from './beatmap.js';
 
 // Lane colors: cyan, magenta, green, amber
 const COLS  = ['#00f0ff', '#ff00ff', '#00ff88', '#ffaa00'];
@@ -25,6 +26,24 @@ const COLS2 = ['#007799', '#990099', '#009944', '#996600'];
 const COLSG = ['#00ccff', '#cc00ff', '#00dd66', '#ff8800'];
 const KEY_LABELS = ['\u2190  A', '\u2191  W', '\u2193  S', '\u2192  D'];
 
+// Hidden / sudden modifiers: notes fade out (hidden) or in (sudden) across
+// these stretches of highway progress (0 = far end, 1 = hit zone)
+const HIDDEN_ZONE = [0.5, 0.7];
+const SUDDEN_ZONE = [0.3, 0.5];
+
+function fadeBetween(from, to, p) {
+  const t = clamp((p - from) / (to - from), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+
+// Opacity of a note at progress p under the active fade modifiers
+function zoneAlpha(p, fade) {
+  let a = 1;
+  if (fade.hidden) a *= 1 - fadeBetween(HIDDEN_ZONE[0], HIDDEN_ZONE[1], p);
+  if (fade.sudden) a *= fadeBetween(SUDDEN_ZONE[0], SUDDEN_ZONE[1], p);
+  return a;
+}
+
 // Arrow rotations: lane → rotation (arrow base shape points UP)
 // Lane 0=left, 1=up, 2=down, 3=right
 const ARROW_ROT = [-Math.PI / 2, 0, Math.PI, Math.PI / 2];
@@ -471,7 +490,8 @@ export class Renderer {
 
   // ── Highway (3D perspective) ──────────────────────────────
 
-  drawHighway(ctx, W, H, t, beatPulse, energy, effects) {
+  // beats: [{ p, measure }] beat lines by highway progress (0 = far end, 1 = hit zone)
+  drawHighway(ctx, W, H, t, beatPulse, energy, effects, beats = []) {
     const cx = W / 2;
     const isMobile = W < 600;
     const hasTouchBar = ('ontouchstart' in window) || navigator.maxTouchPoints > 0;
@@ -611,6 +631,19 @@ export class Renderer {
       ctx.stroke();
     }
 
+    // Beat lines (follow the chart's timing, same perspective curve as notes)
+    for (const { p, measure } of beats) {
+      const pp = p * p;
+      const y = vy + hl * pp;
+      const w = lerp(tw, bw, pp);
+      ctx.beginPath();
+      ctx.moveTo(cx - w, y);
+      ctx.lineTo(cx + w, y);
+      ctx.strokeStyle = measure ? hsl(190, 90, 65, 0.05 + pp * 0.2) : hsl(260, 70, 65, 0.03 + pp * 0.1);
+      ctx.lineWidth = (measure ? 0.8 : 0.4) + pp * (measure ? 1.6 : 1);
+      ctx.stroke();
+    }
+
     // Lane dividers (visible glowing lines)
     for (let i = 1; i < 4; i++) {
       const f = i / 4;
@@ -649,13 +682,25 @@ export class Renderer {
 
   // ── Notes ─────────────────────────────────────────────────
 
-  drawNotes(ctx, notes, elapsed, travelTime, hw) {
+  // fade: { hidden, sudden } modifiers
+  drawNotes(ctx, notes, elapsed, travelTime, hw, fade = {}) {
     const { cx, vy, hy, tw, bw, hl } = hw;
 
     for (const n of notes) {
+      if (isHold(n)) {
+        this.drawHoldBody(ctx, n, elapsed, travelTime, hw, fade);
+        // While sustained, the head sits on the hit zone
+        if (n.holding) {
+          const lw = (bw * 2) / 4;
+          this.drawArrow(ctx, cx - bw + n.lane * lw + lw / 2, hy, 64, n.lane, 1);
+          continue;
+        }
+      }
       if (n.hit || n.missed) continue;
       let p = (elapsed - n.t + travelTime) / travelTime;
       if (p < -0.05 || p > 1.15) continue;
+      const zone = zoneAlpha(p, fade);
+      if (zone <= 0) continue;
 
       // Accelerating perspective curve (notes speed up toward hit zone — feels on-beat)
       const cp = clamp(p, 0, 1);
@@ -672,12 +717,12 @@ export class Renderer {
       ctx.save();
       // Smooth fade-in with cubic ease
       const fadeIn = clamp(p * 4, 0, 1);
-      ctx.globalAlpha = fadeIn * fadeIn * (3 - 2 * fadeIn);
+      ctx.globalAlpha = fadeIn * fadeIn * (3 - 2 * fadeIn) * zone;
 
       // Note trail (thicker gradient streak)
       if (pp > 0.06) {
         ctx.save();
-        const trailAlpha = pp * pp * 0.45;
+        const trailAlpha = pp * pp * 0.45 * zone;
         ctx.globalAlpha = trailAlpha;
         const trailLen = 80 * pp;
         const tg = ctx.createLinearGradient(0, y - trailLen, 0, y);
@@ -698,6 +743,78 @@ export class Renderer {
     }
   }
 
+  // ── Hold note body (sustain strip from head to tail) ──────
+
+  drawHoldBody(ctx, n, elapsed, travelTime, hw, fade = {}) {
+    if (n.held) return;
+    const { cx, vy, hy, tw, bw, hl } = hw;
+
+    // Head is pinned to the hit zone while held; a dropped hold keeps scrolling
+    const pHead = n.holding ? 1 : (elapsed - n.t + travelTime) / travelTime;
+    const pTail = (elapsed - n.end + travelTime) / travelTime;
+    if (pHead < 0 || pTail > 1.15) return;
+
+    const a = clamp(pTail, 0, 1);
+    const b = clamp(pHead, 0, 1);
+    if (b <= a) return;
+
+    // Project a progress value onto the highway (same curve as notes)
+    const at = p => {
+      const pp = p * p;
+      const w = lerp(tw, bw, pp);
+      const lw = (w * 2) / 4;
+      return { x: cx - w + n.lane * lw + lw / 2, y: vy + hl * pp, half: lw * 0.22 };
+    };
+    const top = at(a), bot = at(b);
+
+    const c = COLS[n.lane];
+    const dim = n.dropped;
+    ctx.save();
+    // Fade modifiers: bodies are cut to the stretch where notes are visible
+    if (fade.hidden || fade.sudden) {
+      const from = fade.sudden ? SUDDEN_ZONE[0] : 0;
+      const to = fade.hidden ? HIDDEN_ZONE[1] : 1.15;
+      const y0 = vy + hl * from * from;
+      const y1 = vy + hl * to * to;
+      ctx.beginPath();
+      ctx.rect(0, y0, cx * 2, y1 - y0);
+      ctx.clip();
+    }
+    ctx.globalAlpha = dim ? 0.18 : n.holding ? 0.85 : 0.6;
+    ctx.beginPath();
+    ctx.moveTo(top.x - top.half, top.y);
+    ctx.lineTo(top.x + top.half, top.y);
+    ctx.lineTo(bot.x + bot.half, bot.y);
+    ctx.lineTo(bot.x - bot.half, bot.y);
+    ctx.closePath();
+    const g = ctx.createLinearGradient(0, top.y, 0, bot.y);
+    g.addColorStop(0, dim ? '#556677' : COLS2[n.lane]);
+    g.addColorStop(1, dim ? '#556677' : c);
+    ctx.fillStyle = g;
+    ctx.shadowColor = c;
+    ctx.shadowBlur = dim ? 0 : n.holding ? 22 : 10;
+    ctx.fill();
+
+    // Bright core line
+    if (!dim) {
+      ctx.beginPath();
+      ctx.moveTo(top.x, top.y);
+      ctx.lineTo(bot.x, bot.y);
+      ctx.strokeStyle = 'rgba(255,255,255,0.5)';
+      ctx.lineWidth = 1 + b * 1.5;
+      ctx.stroke();
+    }
+
+    // Tail cap
+    if (pTail >= 0) {
+      ctx.beginPath();
+      ctx.roundRect(top.x - top.half * 1.4, top.y - 2, top.half * 2.8, 4, 2);
+      ctx.fillStyle = dim ? '#556677' : '#ffffff';
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
   // ── Target Arrows & Lane Flashes ──────────────────────────
 
   drawTargets(ctx, hw, flashes, t) {
@@ -744,7 +861,7 @@ export class Renderer {
   drawJudgment(ctx, judg, judgTime, now, cx, hy) {
     if (!judg || now - judgTime > 800) return;
     const t = (now - judgTime) / 800;
-    const colors = { PERFECT: '#ffd700', GREAT: '#00f0ff', GOOD: '#00ff88', MISS: '#ff4466' };
+    const colors = { PERFECT: '#ffd700', GREAT: '#00f0ff', GOOD: '#00ff88', MISS: '#ff4466', DROP: '#ff4466' };
     const W = ctx.canvas.width / (window.devicePixelRatio || 1);
     const fontSize = W < 500 ? Math.round(20 * (W / 500)) : 24;
 
@@ -803,6 +920,26 @@ export class Renderer {
     ctx.fillText(displayScore.toLocaleString(), pad, 18 + Math.round(25 * sc));
     ctx.restore();
 
+    // Ghost: ahead (green) or behind (red) the best run, in score and accuracy pace
+    if (state.vs) {
+      const { score, acc } = state.vs;
+      const sign = v => (v > 0 ? '+' : v < 0 ? '\u2212' : '\u00B1');
+      ctx.save();
+      ctx.textAlign = 'left';
+      ctx.font = `700 ${Math.round(11 * sc)}px 'Exo 2', monospace`;
+      ctx.fillStyle = score > 0 ? '#00ff88' : score < 0 ? '#ff4466' : 'rgba(255,255,255,0.5)';
+      ctx.shadowColor = ctx.fillStyle;
+      ctx.shadowBlur = 6;
+      let text = `${sign(score)}${Math.abs(score).toLocaleString()}`;
+      if (acc != null) text += `  ${sign(Math.round(acc * 10))}${Math.abs(acc).toFixed(1)}%`;
+      ctx.fillText(text, pad, 18 + Math.round(44 * sc));
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = 'rgba(255,255,255,0.3)';
+      ctx.font = `600 ${Math.round(7 * sc)}px 'Exo 2', monospace`;
+      ctx.fillText('VS BEST', pad, 18 + Math.round(56 * sc));
+      ctx.restore();
+    }
+
     // Combo
     if (state.combo > 1) {
       const comboScale = state.combo >= 100 ? 1.15 : state.combo >= 50 ? 1.08 : state.combo >= 25 ? 1.03 : 1;
@@ -871,6 +1008,25 @@ export class Renderer {
     ctx.textAlign = 'center';
     ctx.fillText('ENERGY', cx, hbY + hbH + 12);
 
+    // Autoplay / replay badge
+    if (state.auto != null || state.replay) {
+      const label = state.replay ? 'REPLAY' : state.demo ? 'DEMO' : 'AUTO';
+      ctx.save();
+      ctx.font = `700 ${Math.round(9 * sc)}px 'Orbitron', monospace`;
+      const badgeW = ctx.measureText(label).width + 16, badgeH = Math.round(15 * sc), by = hbY + hbH + 20;
+      ctx.beginPath();
+      ctx.roundRect(cx - badgeW / 2, by, badgeW, badgeH, 3);
+      ctx.strokeStyle = 'rgba(255,170,0,0.6)';
+      ctx.stroke();
+      ctx.fillStyle = '#ffaa00';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.shadowColor = '#ffaa00';
+      ctx.shadowBlur = 8;
+      ctx.fillText(label, cx, by + badgeH / 2 + 1);
+      ctx.restore();
+    }
+
     // Song progress bar (top, full width, thin gradient)
     if (state.songDuration > 0) {
       const prog = clamp(state.songElapsed / (state.songDuration * 1000), 0, 1);
@@ -921,6 +1077,47 @@ export class Renderer {
     }
   }
 
+  // ── Practice overlay ──────────────────────────────────────
+
+  // Loop number and the latest loop accuracies, under the score
+  drawPractice(ctx, W, loop, loops) {
+    const sc = W < 500 ? W / 500 : 1;
+    const pad = Math.round(16 * sc);
+    const y = 18 + Math.round(46 * sc);
+    ctx.save();
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(255,170,0,0.7)';
+    ctx.font = `600 ${Math.round(9 * sc)}px 'Exo 2', monospace`;
+    ctx.fillText(`PRACTICE \u2022 LOOP ${loop}`, pad, y);
+    const recent = loops.slice(-5);
+    recent.forEach((acc, i) => {
+      const latest = i === recent.length - 1;
+      ctx.fillStyle = latest ? '#fff' : 'rgba(255,255,255,0.35)';
+      ctx.font = `${latest ? 700 : 400} ${Math.round(10 * sc)}px 'Orbitron', monospace`;
+      ctx.fillText(`${acc}%`, pad + i * Math.round(42 * sc), y + Math.round(16 * sc));
+    });
+    ctx.restore();
+  }
+
+  // Count-in number; t is how far into its beat we are (0..1)
+  drawCountdown(ctx, n, t, cx, cy) {
+    const W = ctx.canvas.width / (window.devicePixelRatio || 1);
+    const fontSize = W < 500 ? Math.round(56 * (W / 500)) : 64;
+    ctx.save();
+    ctx.globalAlpha = 1 - t * t;
+    const scale = 1.25 - 0.25 * easeOutCubic(t);
+    ctx.translate(cx, cy);
+    ctx.scale(scale, scale);
+    ctx.fillStyle = '#fff';
+    ctx.font = `900 ${fontSize}px 'Orbitron', monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.shadowColor = '#00f0ff';
+    ctx.shadowBlur = 30;
+    ctx.fillText(n, 0, 0);
+    ctx.restore();
+  }
+
   // ── Song title overlay ────────────────────────────────────
 
   drawSongTitle(ctx, W, title, elapsed) {
@@ -0,0 +1,170 @@
+// ── Replays ───────────────────────────────────────────────────
+// A run's input stream (presses and releases at their judged song times),
+// with the chart, modifiers and offsets it was played with. Replays are
+// kept in IndexedDB, exported as small JSON files, and played back through
+// the same judgment, so they land on the same score.
+
+import { dbGet, dbGetAll, dbPut, dbDelete, transact, newId } from './db.js';
+import { packNotes, unpackNotes } from './charts.js';
+import { GRADE_COLORS } from './scores.js';
+import { downloadText } from './utils.js';
+
+export const REPLAY_VERSION = 1;
+export const REPLAY_EXTENSION = '.brreplay';
+// Oldest replays are dropped past this many
+const MAX_REPLAYS = 50;
+
+// Judged times are kept in tenths of a millisecond, so a replayed press is
+// judged at exactly the time the live one was
+export function quantizeMs(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+// Notes as a replay stores them: times at packNotes() precision, in its
+// order. Runs play these, so ties between notes resolve the same way later.
+export function replayableNotes(notes) {
+  const round = ms => Math.round(ms * 100) / 100;
+  for (const n of notes) {
+    n.t = round(n.t);
+    if (n.end != null) n.end = round(n.end);
+  }
+  return notes.sort((a, b) => a.t - b.t || a.lane - b.lane);
+}
+
+// Input events are [release, lane, songMs, settled]: settled is the song
+// time misses had already been settled to when the input was judged (at
+// least songMs; see Game._expireNotes). Stored flat in tenths of a ms:
+// code, time as a delta, and how far settled ran ahead of the time.
+function packEvents(events) {
+  const out = [];
+  let prev = 0;
+  for (const [release, lane, t, settled] of events) {
+    const tick = Math.round(t * 10);
+    out.push((release ? 4 : 0) | lane, tick - prev, Math.round(settled * 10) - tick);
+    prev = tick;
+  }
+  return out;
+}
+
+function unpackEvents(flat) {
+  const events = [];
+  let tick = 0;
+  for (let i = 0; i + 2 < flat.length; i += 3) {
+    tick += flat[i + 1];
+    events.push([flat[i] >= 4, flat[i] & 3, tick / 10, (tick + flat[i + 2]) / 10]);
+  }
+  return events;
+}
+
+// Replay record for a finished run. `run` carries what the game knew:
+// song, difficulty, custom, auto, mods, lanes (and the seed that shuffled
+// them), offsets, timing, notes (as played), events, end (song ms the run
+// was settled to) and result.
+export function createReplay(run) {
+  return {
+    id: newId(),
+    version: REPLAY_VERSION,
+    date: new Date().toISOString(),
+    song: { id: run.song.id, title: run.song.title },
+    difficulty: run.difficulty,
+    custom: run.custom,
+    auto: run.auto,
+    mods: run.mods,
+    seed: run.seed,
+    lanes: run.lanes,
+    offsets: run.offsets,
+    timing: run.timing,
+    notes: packNotes(run.notes),
+    events: packEvents(run.events),
+    end: Math.round(run.end * 10),
+    result: run.result,
+  };
+}
+
+// What playback needs: notes, timing and events in playable form
+export function openReplay(replay) {
+  return {
+    ...replay,
+    notes: unpackNotes(replay.notes, replay.timing),
+    events: unpackEvents(replay.events),
+    end: replay.end / 10,
+  };
+}
+
+// A timing map playback can convert with: at least one finite, positive
+// BPM, and stops (if any) of finite length
+function validTiming(timing) {
+  const { bpms, stops = [], offset = 0 } = timing || {};
+  return Number.isFinite(offset) && Array.isArray(bpms) && bpms.length > 0
+    && bpms.every(b => b && Number.isFinite(b.beat) && Number.isFinite(b.bpm) && b.bpm > 0)
+    && Array.isArray(stops) && stops.every(s => s && Number.isFinite(s.beat) && Number.isFinite(s.seconds));
+}
+
+// Packed note rows: [t, lane] or [t, lane, end]
+function validNote(row) {
+  return Array.isArray(row) && (row.length === 2 || row.length === 3)
+    && row.every(Number.isFinite) && Number.isInteger(row[1]) && row[1] >= 0 && row[1] < 4;
+}
+
+// Lane map: a shuffle of the four lanes
+function validLanes(lanes) {
+  return Array.isArray(lanes) && lanes.length === 4 && [0, 1, 2, 3].every(l => lanes.includes(l));
+}
+
+// Check for imported files (and backups), down to the timing, notes and
+// lanes playback reads; throws on anything unusable
+export function validateReplay(data) {
+  const ok = data && data.version === REPLAY_VERSION
+    && data.song && typeof data.song.title === 'string'
+    && validTiming(data.timing) && validLanes(data.lanes)
+    && Array.isArray(data.notes) && data.notes.every(validNote) && Array.isArray(data.events)
+    && data.events.length % 3 === 0 && data.events.every(Number.isFinite)
+    && Number.isFinite(data.end) && data.mods && data.result
+    && Number.isFinite(data.result.score) && Number.isFinite(data.result.accuracy)
+    && data.result.grade in GRADE_COLORS;
+  if (!ok) throw new Error('Not a replay file (or from an unsupported version)');
+  return data;
+}
+
+// ── Storage ───────────────────────────────────────────────────
+
+// Newest first
+export async function listReplays() {
+  const all = await dbGetAll('replays');
+  return all.sort((a, b) => (a.date < b.date ? 1 : -1));
+}
+
+export function loadReplay(id) {
+  return dbGet('replays', id);
+}
+
+export async function saveReplay(replay) {
+  await dbPut('replays', replay);
+  const all = await listReplays();
+  const stale = all.slice(MAX_REPLAYS);
+  if (stale.length) {
+    await transact('replays', 'readwrite', store => { stale.forEach(r => store.delete(r.id)); });
+  }
+}
+
+export function deleteReplay(id) {
+  return dbDelete('replays', id);
+}
+
+// ── Files ─────────────────────────────────────────────────────
+
+export function exportReplay(replay) {
+  const day = replay.date.slice(0, 10);
+  downloadText(`${replay.song.title} [${replay.difficulty}] ${day}${REPLAY_EXTENSION}`, JSON.stringify(replay), 'application/json');
+}
+
+// Parsed replay from an exported file (kept under its own id)
+export async function readReplayFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`"${file.name}" is not a replay file`);
+  }
+  return validateReplay(data);
+}
@@ -0,0 +1,175 @@
+// ── Run Graph ─────────────────────────────────────────────────
+// HP, combo and rolling accuracy along the song, sampled while a run
+// plays, then drawn on the results screen over the chart's sections with
+// a tick for every miss. Hovering (or dragging on touch) reads out the
+// run at that point.
+
+import { clamp, formatClock } from './utils.js';
+
+// Song ms between samples
+const STEP = 250;
+// Rolling accuracy covers judgments this far back (song ms)
+const ROLL_MS = 8000;
+// Accuracy weight per judgment (as accuracyOf)
+const WEIGHT = { PERFECT: 1, GREAT: 0.7, GOOD: 0.4, MISS: 0 };
+
+const HP_COL = '#00f0ff';
+const COMBO_COL = '#ffaa00';
+const ACC_COL = '#00ff88';
+const MISS_COL = '#ff4466';
+
+// hp / combo: samples every `step` song ms (sampleSeries); judged:
+// { t (note time), judg } in the order the notes were judged
+export function createTrace() {
+  return { step: STEP, hp: [], combo: [], judged: [] };
+}
+
+export class RunGraph {
+  constructor(canvas, readout) {
+    this.cv = canvas;
+    this.readout = readout;
+    // What's shown: the trace, sections ({ name, start, end }) and the
+    // song length (song ms); cursor is the song ms under the pointer
+    this.trace = null;
+    this.sections = [];
+    this.length = 1;
+    this.cursor = null;
+    // Judgments by note time, and the rolling accuracy at each sample
+    this._judged = [];
+    this._acc = [];
+
+    const move = e => {
+      if (!this.trace) return;
+      const r = this.cv.getBoundingClientRect();
+      this.cursor = clamp((e.clientX - r.left) / r.width, 0, 1) * this.length;
+      this.draw();
+    };
+    this.cv.addEventListener('pointermove', move);
+    this.cv.addEventListener('pointerdown', move);
+    this.cv.addEventListener('pointerleave', () => {
+      this.cursor = null;
+      this.draw();
+    });
+    window.addEventListener('resize', () => { if (this.trace) this.draw(); });
+  }
+
+  show(trace, sections, lengthMs) {
+    this.trace = trace;
+    this.sections = sections || [];
+    this.length = Math.max(1, lengthMs);
+    this.cursor = null;
+    this._judged = [...trace.judged].sort((a, b) => a.t - b.t);
+
+    // Rolling accuracy per sample, walking a window over the sorted judgments
+    this._acc = [];
+    let lo = 0, hi = 0, sum = 0;
+    for (let i = 0; i < trace.hp.length; i++) {
+      const at = i * trace.step;
+      while (hi < this._judged.length && this._judged[hi].t <= at) sum += WEIGHT[this._judged[hi++].judg];
+      while (lo < hi && this._judged[lo].t <= at - ROLL_MS) sum -= WEIGHT[this._judged[lo++].judg];
+      this._acc.push(hi > lo ? sum / (hi - lo) * 100 : null);
+    }
+    this.draw();
+  }
+
+  // The run at song ms `ms`: hp, combo, rolling accuracy, misses so far and section
+  _at(ms) {
+    const { trace } = this;
+    const i = Math.min(trace.hp.length - 1, Math.max(0, Math.floor(ms / trace.step)));
+    const section = this.sections.find(s => ms >= s.start && ms < s.end);
+    const misses = this._judged.filter(j => j.judg === 'MISS' && j.t <= ms).length;
+    return {
+      hp: trace.hp[i],
+      combo: trace.combo[i],
+      acc: this._acc[i],
+      misses,
+      section: section ? section.name : '',
+      played: ms < trace.hp.length * trace.step,
+    };
+  }
+
+  draw() {
+    const { cv, trace } = this;
+    const dpr = window.devicePixelRatio || 1;
+    const W = cv.clientWidth, H = cv.clientHeight;
+    cv.width = W * dpr;
+    cv.height = H * dpr;
+    const ctx = cv.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, W, H);
+    if (!trace) return;
+
+    const top = 14, bottom = H - 10;
+    const x = ms => ms / this.length * W;
+    const y = frac => bottom - frac * (bottom - top);
+
+    // Sections: alternate bands, a divider and the name at each start
+    ctx.font = "600 7px 'Exo 2', monospace";
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    this.sections.forEach((s, i) => {
+      if (i % 2) {
+        ctx.fillStyle = 'rgba(255,255,255,0.025)';
+        ctx.fillRect(x(s.start), top, x(s.end) - x(s.start), bottom - top);
+      }
+      ctx.fillStyle = 'rgba(255,255,255,0.1)';
+      ctx.fillRect(x(s.start), top, 1, bottom - top);
+      if (x(s.end) - x(s.start) > 30) {
+        ctx.fillStyle = 'rgba(255,255,255,0.3)';
+        ctx.fillText(s.name.toUpperCase(), x(s.start) + 3, 2);
+      }
+    });
+
+    // A line through one series of samples (null gaps break it)
+    const series = (values, scale, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      let pen = false;
+      values.forEach((v, i) => {
+        if (v == null) { pen = false; return; }
+        const px = x(i * trace.step), py = y(scale(v));
+        if (pen) ctx.lineTo(px, py); else ctx.moveTo(px, py);
+        pen = true;
+      });
+      ctx.stroke();
+    };
+    const maxCombo = Math.max(1, ...trace.combo);
+    series(trace.combo, v => v / maxCombo, COMBO_COL + '99');
+    series(this._acc, v => v / 100, ACC_COL);
+    series(trace.hp, v => v / 100, HP_COL);
+
+    // Miss ticks along the bottom
+    ctx.fillStyle = MISS_COL;
+    for (const j of this._judged) {
+      if (j.judg === 'MISS') ctx.fillRect(x(j.t) - 0.5, bottom + 2, 1, 7);
+    }
+
+    // Legend
+    ctx.textAlign = 'right';
+    [['ACC', ACC_COL], ['COMBO', COMBO_COL], ['HP', HP_COL]].reduce((right, [label, col]) => {
+      ctx.fillStyle = col;
+      ctx.fillText(label, right, 2);
+      return right - ctx.measureText(label).width - 10;
+    }, W - 2);
+
+    // Cursor and readout
+    if (this.cursor == null) {
+      this.readout.textContent = 'HOVER THE GRAPH FOR THE RUN AT ANY POINT';
+      return;
+    }
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.fillRect(x(this.cursor) - 0.5, top, 1, bottom - top);
+    const p = this._at(this.cursor);
+    const parts = [formatClock(this.cursor)];
+    if (p.section) parts.push(p.section.toUpperCase());
+    if (p.played) {
+      parts.push(`HP ${Math.round(p.hp)}`, `COMBO ${p.combo}`);
+      if (p.acc != null) parts.push(`ACC ${p.acc.toFixed(1)}%`);
+      parts.push(`${p.misses} MISS${p.misses === 1 ? '' : 'ES'}`);
+    } else {
+      parts.push('NOT REACHED');
+    }
+    this.readout.textContent = parts.join(' \u2022 ');
+  }
+}
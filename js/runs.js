@@ -0,0 +1,23 @@
+// ── Run History ───────────────────────────────────────────────
+// Every finished or failed run the player plays, kept in IndexedDB. The
+// high score table (scores.js) only holds each chart's best; this holds
+// the attempts that show progress. Runs on imported or edited charts
+// aren't kept, as those charts can change under them.
+
+import { dbGetAllBy, dbPut, newId } from './db.js';
+
+// Store a run's result; `run` is what the game knew at the end of it:
+// title, songId, difficulty, mods (ids), speed, rate, score, accuracy,
+// grade, maxCombo, stats and failed
+export async function recordRun(run) {
+  const rec = { id: newId(), date: new Date().toISOString(), ...run };
+  await dbPut('runs', rec);
+  return rec;
+}
+
+// A track's runs, oldest first (without custom-chart runs recorded before
+// they were left out)
+export async function listRuns(title) {
+  const runs = await dbGetAllBy('runs', 'title', title);
+  return runs.filter(r => !r.custom).sort((a, b) => (a.date < b.date ? -1 : 1));
+}
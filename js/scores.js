@@ -1,8 +1,33 @@
 // ── High Score System ─────────────────────────────────────────
-// Persistent per-track scores using localStorage
+// Persistent per-track, per-difficulty scores using localStorage
 
 const STORAGE_KEY = 'beatrush_highscores';
 
+// Records are keyed by song title plus chart tier, and song rate when it isn't 1
+export function scoreKey(title, difficulty, rate = 1) {
+  return rate === 1 ? `${title}|${difficulty}` : `${title}|${difficulty}|${rate}x`;
+}
+
+// Split a key back into its parts (legacy title-only keys were Normal charts)
+export function parseScoreKey(key) {
+  const rated = key.match(/\|([\d.]+)x$/);
+  const rate = rated ? parseFloat(rated[1]) : 1;
+  if (rated) key = key.slice(0, rated.index);
+  const i = key.lastIndexOf('|');
+  return i < 0
+    ? { title: key, difficulty: 'normal', rate }
+    : { title: key.slice(0, i), difficulty: key.slice(i + 1), rate };
+}
+
+// Accuracy (%) of a run's judgment counts, to `decimals` places
+export function accuracyOf(stats, decimals = 0) {
+  const total = stats.perfect + stats.great + stats.good + stats.miss;
+  const f = 10 ** decimals;
+  return total > 0
+    ? Math.round(((stats.perfect + stats.great * 0.7 + stats.good * 0.4) / total) * 100 * f) / f
+    : 0;
+}
+
 export function getGrade(accuracy) {
   if (accuracy >= 100) return 'S+';
   if (accuracy >= 95)  return 'S';
@@ -18,24 +43,153 @@ export const GRADE_COLORS = {
   B: '#ff00ff', C: '#ff8800', D: '#ff4466', F: '#555566',
 };
 
-export function loadAllScores() {
+// ── Storage ───────────────────────────────────────────────────
+// Stored as { version, scores }, scores keyed by scoreKey(). Anything
+// older is brought up to SCHEMA_VERSION through MIGRATIONS on load, and
+// every record is validated before use.
+
+export const SCHEMA_VERSION = 1;
+
+// Field defaults for records saved before the field existed
+const RECORD_DEFAULTS = {
+  perfectCount: 0, greatCount: 0, goodCount: 0, missCount: 0,
+  mods: [], speed: 1, scoreMult: 1, ghost: null, date: null,
+};
+
+// Upgrades from older formats, applied in order: MIGRATIONS[n] turns the
+// scores map of version n into that of version n + 1. Add one with every
+// change to keys or record fields, and bump SCHEMA_VERSION.
+const MIGRATIONS = {
+  // 0: the bare map, before the store had a version. Scores saved before
+  // charts had tiers are keyed by title alone (Normal charts); records from
+  // before modifiers lack their fields.
+  0: raw => {
+    const scores = {};
+    for (const [key, rec] of Object.entries(raw)) {
+      const { title, difficulty, rate } = parseScoreKey(key);
+      scores[scoreKey(title, difficulty, rate)] = { ...RECORD_DEFAULTS, ...rec, title, difficulty, rate };
+    }
+    return scores;
+  },
+};
+
+// Scores map from whatever was stored, at SCHEMA_VERSION. Throws if it was
+// written by a newer version (which this one must not overwrite).
+export function migrateScores(stored) {
+  const versioned = stored && Number.isInteger(stored.version) && stored.scores && typeof stored.scores === 'object';
+  let version = versioned ? stored.version : 0;
+  let scores = versioned ? stored.scores : stored || {};
+  if (version > SCHEMA_VERSION) throw new Error('High scores were saved by a newer version of the game');
+  while (version < SCHEMA_VERSION) {
+    scores = MIGRATIONS[version](scores);
+    version++;
+  }
+  return scores;
+}
+
+// A record as the current schema has it, or null if it can't be used
+// (no score or accuracy). Counts, grade and modifiers fall back to
+// what they can be worked out as.
+export function validateScore(key, rec) {
+  if (!rec || typeof rec !== 'object') return null;
+  if (!Number.isFinite(rec.score) || rec.score < 0) return null;
+  if (!Number.isFinite(rec.accuracy) || rec.accuracy < 0 || rec.accuracy > 100) return null;
+  const count = v => (Number.isInteger(v) && v >= 0 ? v : 0);
+  const positive = v => (Number.isFinite(v) && v > 0 ? v : 1);
+  const ghost = rec.ghost;
+  return {
+    ...rec,
+    ...parseScoreKey(key),
+    maxCombo: count(rec.maxCombo),
+    perfectCount: count(rec.perfectCount),
+    greatCount: count(rec.greatCount),
+    goodCount: count(rec.goodCount),
+    missCount: count(rec.missCount),
+    grade: rec.grade in GRADE_COLORS ? rec.grade : getGrade(rec.accuracy),
+    mods: Array.isArray(rec.mods) ? rec.mods.filter(m => typeof m === 'string') : [],
+    speed: positive(rec.speed),
+    scoreMult: positive(rec.scoreMult),
+    ghost: ghost && Number.isFinite(ghost.step) && Array.isArray(ghost.score) && Array.isArray(ghost.acc) ? ghost : null,
+    date: typeof rec.date === 'string' ? rec.date : null,
+  };
+}
+
+// Read problems repeat on every load; report each once
+const warned = new Set();
+function warnOnce(message, detail) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(message, ...(detail ? [detail] : []));
+}
+
+// Valid records by key; `writable` is false if the store can't be safely
+// written back (newer version)
+function readScores() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (e) {
+    warnOnce('High scores unreadable, starting over:', e);
+    return { scores: {}, writable: true };
+  }
+  let raw;
+  try {
+    raw = migrateScores(stored);
+  } catch (e) {
+    warnOnce(e.message);
+    return { scores: {}, writable: false };
+  }
+  const scores = {};
+  let dropped = 0;
+  for (const [key, rec] of Object.entries(raw)) {
+    const valid = validateScore(key, rec);
+    if (valid) scores[key] = valid;
+    else {
+      warnOnce(`Dropped an invalid high score (${key}):`, rec);
+      dropped++;
+    }
+  }
+  // Store what was migrated or cleaned, so it's only done once
+  if (stored != null && (dropped || stored.version !== SCHEMA_VERSION)) {
+    try {
+      writeScores(scores, true);
+    } catch (e) {
+      warnOnce('Could not store the upgraded high scores:', e);
+    }
+  }
+  return { scores, writable: true };
+}
+
+// Throws if storage is full or unavailable (or holds a newer version)
+function writeScores(scores, writable) {
+  if (!writable) throw new Error('High scores were saved by a newer version of the game and were left as they are');
   try {
-    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
-  } catch { return {}; }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, scores }));
+  } catch {
+    throw new Error('Not enough storage space to save the high scores');
+  }
+}
+
+export function loadAllScores() {
+  return readScores().scores;
 }
 
-export function loadScore(trackTitle) {
-  return loadAllScores()[trackTitle] || null;
+export function loadScore(key) {
+  return loadAllScores()[key] || null;
 }
 
-// Returns true if this is a new high score
-export function saveScore(trackTitle, record) {
-  const all = loadAllScores();
-  const existing = all[trackTitle];
+// Returns true if this is a new high score; throws if it couldn't be saved
+export function saveScore(key, record) {
+  const { scores: all, writable } = readScores();
+  const existing = all[key];
   const isNew = !existing || record.score > existing.score;
 
   if (isNew) {
-    all[trackTitle] = {
+    const { title, difficulty, rate } = parseScoreKey(key);
+    all[key] = {
+      title,
+      difficulty,
+      rate,
       score: record.score,
       maxCombo: record.maxCombo,
       accuracy: record.accuracy,
@@ -44,12 +198,35 @@ export function saveScore(trackTitle, record) {
       goodCount: record.goodCount,
       missCount: record.missCount,
       grade: record.grade,
+      // Modifiers the run was played with (ids from modifiers.js)
+      mods: record.mods || [],
+      speed: record.speed || 1,
+      scoreMult: record.scoreMult || 1,
+      // Score and accuracy along the song, for racing this run (ghost.js)
+      ghost: record.ghost || null,
       date: new Date().toISOString(),
     };
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
-    } catch { /* storage full — silently fail */ }
+    writeScores(all, writable);
   }
 
   return isNew;
 }
+
+// Merge records from elsewhere (a backup) by key, keeping the higher score
+// where both have one. Invalid records are skipped. Returns how many were
+// added or improved; throws if they couldn't be saved.
+export function mergeScores(records) {
+  const { scores: all, writable } = readScores();
+  let merged = 0;
+  for (const [key, rec] of Object.entries(records || {})) {
+    const valid = validateScore(key, rec);
+    if (!valid) continue;
+    const k = scoreKey(valid.title, valid.difficulty, valid.rate);
+    const existing = all[k];
+    if (existing && existing.score >= valid.score) continue;
+    all[k] = valid;
+    merged++;
+  }
+  if (merged) writeScores(all, writable);
+  return merged;
+}
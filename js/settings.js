@@ -0,0 +1,33 @@
+// ── Player Settings ───────────────────────────────────────────
+// Persistent player preferences using localStorage
+
+const STORAGE_KEY = 'beatrush_settings';
+
+// Offsets are clamped to this range (ms)
+export const MAX_OFFSET = 500;
+
+const DEFAULTS = {
+  // How late the player's taps land against the music they hear (ms).
+  // Judgment subtracts it; covers Bluetooth and other unreported output delay.
+  audioOffset: 0,
+  // How late the display shows a frame (ms); notes are drawn this far ahead
+  visualOffset: 0,
+  // Gameplay modifiers last picked in the lobby (see modifiers.js)
+  modifiers: {},
+  // Race the best run's ghost (HUD delta against its score and accuracy)
+  ghost: true,
+};
+
+export function loadSettings() {
+  try {
+    return { ...DEFAULTS, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch { return { ...DEFAULTS }; }
+}
+
+// Returns false if storage is full or unavailable
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch { return false; }
+}
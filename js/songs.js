@@ -14,11 +14,10 @@ function difficulty(bpm) {
   return 5;
 }
 
-function diffLabel(d) {
-  return ['', 'CHILL', 'EASY', 'MEDIUM', 'HARD', 'EXPERT'][d];
-}
-
 // Only songs confirmed present in github.com/ClewiIdaho/Newgamemusic
+// A track may also carry `offset` (seconds to its first beat) or a full
+// `timing` map ({ offset, bpms, stops }, see timing.js) when its tempo
+// changes; otherwise charts use a constant grid from `bpm`
 export const SONGS = [
   { id: 0,  title: 'Ramen Noodles',              bpm: 134, key: 'C\u266F minor', camelot: '12A', file: url('Ramen Noodles.mp3') },
   { id: 1,  title: 'Black Umbrella',             bpm: 128, key: 'E minor',       camelot: '9A',  file: url('Black Umbrella.mp3') },
@@ -37,13 +36,48 @@ export const SONGS = [
   { id: 14, title: 'Rain on Kanji',              bpm: 91,  key: 'E minor',       camelot: '9A',  file: url('Rain on Kanji.mp3') },
   { id: 15, title: 'Last Train Home',            bpm: 90,  key: 'E minor',       camelot: '9A',  file: url('Last Train Home.mp3') },
   { id: 16, title: 'Neon Crosswalk',             bpm: 84,  key: 'G minor',       camelot: '6A',  file: url('Neon Crosswalk.mp3') },
-].map(s => ({ ...s, difficulty: difficulty(s.bpm), diffLabel: diffLabel(difficulty(s.bpm)) }));
+].map(s => ({ ...s, difficulty: difficulty(s.bpm) }));
+
+export const AUDIO_EXTENSIONS = ['.mp3', '.ogg', '.wav', '.flac', '.m4a'];
+
+// A track from the player's own files; it lives for the session only.
+// `tempo` is detectTempo()'s estimate, which pins the chart grid.
+export function localSong(file, tempo) {
+  const { bpm } = tempo;
+  return {
+    id: `local:${file.name}:${file.size}`,
+    title: file.name.replace(/\.[^.]+$/, '').trim() || 'Untitled',
+    bpm,
+    offset: tempo.offsetMs / 1000,
+    tempo,
+    // Filled in by key detection (key.js) once the audio is decoded
+    key: '',
+    camelot: '',
+    file: null,
+    fileName: file.name,
+    blob: file,
+    local: true,
+    difficulty: difficulty(bpm),
+  };
+}
 
-// Color themes per difficulty
+// Color themes per tempo rating (star count)
 export const DIFF_COLORS = {
-  1: '#00ccff',  // CHILL  - cyan
-  2: '#00ff88',  // EASY   - green
-  3: '#ffaa00',  // MEDIUM - orange
-  4: '#ff00ff',  // HARD   - magenta
-  5: '#ff2244',  // EXPERT - red
+  1: '#00ccff',  // cyan
+  2: '#00ff88',  // green
+  3: '#ffaa00',  // orange
+  4: '#ff00ff',  // magenta
+  5: '#ff2244',  // red
 };
+
+// Chart tiers: every song gets one chart per tier
+export const DIFFICULTIES = [
+  { id: 'easy',   label: 'EASY',   short: 'E', color: '#00ff88' },
+  { id: 'normal', label: 'NORMAL', short: 'N', color: '#00ccff' },
+  { id: 'hard',   label: 'HARD',   short: 'H', color: '#ff00ff' },
+  { id: 'expert', label: 'EXPERT', short: 'X', color: '#ff2244' },
+];
+
+export function difficultyInfo(id) {
+  return DIFFICULTIES.find(d => d.id === id) || DIFFICULTIES[1];
+}
@@ -0,0 +1,206 @@
+// ── StepMania Charts ──────────────────────────────────────────
+// Parses .sm / .ssc files into Beat Rush note lists and serializes
+// charts back out so they can be polished in existing tools
+
+import { isHold } from './beatmap.js';
+import { beatToMs, msToBeat } from './timing.js';
+
+// StepMania dance-single columns are Left, Down, Up, Right;
+// Beat Rush lanes are Left, Up, Down, Right
+const SM_TO_LANE = [0, 2, 1, 3];
+const LANE_TO_SM = [0, 2, 1, 3];
+
+// StepMania difficulty names ↔ Beat Rush chart tiers
+const SM_TIERS = {
+  beginner: 'easy', easy: 'easy', medium: 'normal',
+  hard: 'hard', challenge: 'expert', edit: 'expert',
+};
+const TIER_SM = { easy: 'Easy', normal: 'Medium', hard: 'Hard', expert: 'Challenge' };
+
+// Rows per measure tried when quantizing, coarsest first
+const RESOLUTIONS = [4, 8, 12, 16, 24, 32, 48, 64, 96, 192];
+
+// ── Parsing ───────────────────────────────────────────────────
+
+// Split a file into ordered [TAG, value] pairs (comments stripped)
+function readTags(text) {
+  const clean = text.replace(/\/\/[^\n]*/g, '');
+  const tags = [];
+  const re = /#([^:;#]+):([^;]*);?/g;
+  let m;
+  while ((m = re.exec(clean))) tags.push([m[1].trim().toUpperCase(), m[2].trim()]);
+  return tags;
+}
+
+// "0.000=134.000,64.000=67.000" → [{ beat, value }]
+function readPairs(value) {
+  if (!value) return [];
+  return value.split(',')
+    .map(p => p.split('=').map(v => parseFloat(v)))
+    .filter(([b, v]) => isFinite(b) && isFinite(v))
+    .map(([beat, v]) => ({ beat, value: v }))
+    .sort((a, b) => a.beat - b.beat);
+}
+
+function readTiming(tags, fallback) {
+  const timing = { ...fallback };
+  if (tags.OFFSET != null) timing.offset = parseFloat(tags.OFFSET) || 0;
+  if (tags.BPMS != null) timing.bpms = readPairs(tags.BPMS).map(p => ({ beat: p.beat, bpm: p.value }));
+  if (tags.STOPS != null) timing.stops = readPairs(tags.STOPS).map(p => ({ beat: p.beat, seconds: p.value }));
+  return timing;
+}
+
+// Measure data ("0010\n0000\n,\n...") → Beat Rush notes
+function readNoteData(data, timing) {
+  const notes = [];
+  const open = [null, null, null, null];
+  const measures = data.split(',');
+
+  measures.forEach((measure, m) => {
+    const rows = measure.split('\n').map(r => r.trim()).filter(r => r.length);
+    rows.forEach((row, r) => {
+      const beat = m * 4 + (r * 4) / rows.length;
+      for (let c = 0; c < 4 && c < row.length; c++) {
+        const ch = row[c].toUpperCase();
+        const lane = SM_TO_LANE[c];
+        if (ch === '1' || ch === 'L') {
+          notes.push({ t: beatToMs(timing, beat), beat, lane, hit: false, missed: false });
+        } else if (ch === '2' || ch === '4') {
+          // Rolls play as holds here
+          const note = { t: beatToMs(timing, beat), beat, lane, hit: false, missed: false };
+          open[lane] = note;
+          notes.push(note);
+        } else if (ch === '3' && open[lane]) {
+          Object.assign(open[lane], {
+            end: beatToMs(timing, beat), endBeat: beat,
+            holding: false, held: false, dropped: false,
+          });
+          open[lane] = null;
+        }
+        // Mines, fakes and keysounds have no Beat Rush equivalent
+      }
+    });
+  });
+
+  // A head whose tail never came stays a tap
+  return notes.sort((a, b) => a.t - b.t || a.lane - b.lane);
+}
+
+// Parse .sm or .ssc text. Returns song metadata, timing and every
+// 4-panel chart; throws if the file has none.
+export function parseStepMania(text) {
+  const tags = readTags(text);
+  const header = {};
+  const rawCharts = [];
+  let chart = null;
+
+  for (const [tag, value] of tags) {
+    if (tag === 'NOTEDATA') {
+      // .ssc: each chart opens its own block of tags
+      chart = {};
+      rawCharts.push(chart);
+    } else if (tag === 'NOTES' && !chart) {
+      // .sm: type:description:difficulty:meter:radar:data
+      const parts = value.split(':');
+      rawCharts.push({
+        STEPSTYPE: parts[0].trim(), DIFFICULTY: (parts[2] || '').trim(),
+        METER: (parts[3] || '').trim(), NOTES: parts.slice(5).join(':'),
+      });
+    } else if (chart) {
+      chart[tag] = value;
+    } else {
+      header[tag] = value;
+    }
+  }
+
+  const timing = readTiming(header, { offset: 0, bpms: [], stops: [] });
+  const charts = rawCharts
+    .filter(c => (c.STEPSTYPE || '').toLowerCase() === 'dance-single' && c.NOTES != null)
+    .map(c => {
+      // .ssc charts may carry their own timing
+      const t = readTiming(c, timing);
+      if (!t.bpms.length) throw new Error('Chart has no #BPMS');
+      const difficulty = (c.DIFFICULTY || 'Edit').toLowerCase();
+      return {
+        difficulty: SM_TIERS[difficulty] || 'expert',
+        smDifficulty: c.DIFFICULTY || 'Edit',
+        meter: parseInt(c.METER) || 0,
+        timing: t,
+        notes: readNoteData(c.NOTES, t),
+      };
+    });
+
+  if (!charts.length) throw new Error('No 4-panel (dance-single) chart found in this file');
+
+  return {
+    title: header.TITLE || '',
+    artist: header.ARTIST || '',
+    music: header.MUSIC || '',
+    timing,
+    charts,
+  };
+}
+
+// ── Serializing ───────────────────────────────────────────────
+
+function fmt(n) {
+  return (Math.round(n * 1000) / 1000).toFixed(3);
+}
+
+// Notes → measure data, quantized to the coarsest grid that fits each measure
+function writeNoteData(notes, timing) {
+  const marks = [];
+  for (const n of notes) {
+    // Beats are re-derived from times so edited notes can't carry stale ones
+    marks.push({ beat: msToBeat(timing, n.t), col: LANE_TO_SM[n.lane], ch: isHold(n) ? '2' : '1' });
+    if (isHold(n)) marks.push({ beat: msToBeat(timing, n.end), col: LANE_TO_SM[n.lane], ch: '3' });
+  }
+  const lastBeat = marks.reduce((m, k) => Math.max(m, k.beat), 0);
+  const measureCount = Math.floor(lastBeat / 4) + 1;
+
+  const measures = [];
+  for (let m = 0; m < measureCount; m++) {
+    const inMeasure = marks.filter(k => Math.floor(k.beat / 4 + 1e-6) === m);
+    const res = RESOLUTIONS.find(r => inMeasure.every(k => {
+      const x = (k.beat - m * 4) * r / 4;
+      return Math.abs(x - Math.round(x)) < 0.03;
+    })) || 192;
+
+    const rows = Array.from({ length: res }, () => ['0', '0', '0', '0']);
+    for (const k of inMeasure) {
+      const r = Math.min(res - 1, Math.round((k.beat - m * 4) * res / 4));
+      rows[r][k.col] = k.ch;
+    }
+    measures.push(rows.map(r => r.join('')).join('\n'));
+  }
+  return measures.join('\n,\n');
+}
+
+// chart: { title, artist, music, difficulty, meter, timing, notes }
+// format: 'sm' or 'ssc'
+export function serializeStepMania(chart, format = 'sm') {
+  const { timing } = chart;
+  const bpms = timing.bpms.map(b => `${fmt(b.beat)}=${fmt(b.bpm)}`).join(',');
+  const stops = (timing.stops || []).map(s => `${fmt(s.beat)}=${fmt(s.seconds)}`).join(',');
+  const diff = TIER_SM[chart.difficulty] || 'Edit';
+  const data = writeNoteData(chart.notes, timing);
+
+  const head = [
+    format === 'ssc' ? '#VERSION:0.83;' : null,
+    `#TITLE:${chart.title || ''};`,
+    `#ARTIST:${chart.artist || ''};`,
+    `#MUSIC:${chart.music || ''};`,
+    `#OFFSET:${fmt(timing.offset || 0)};`,
+    `#BPMS:${bpms};`,
+    `#STOPS:${stops};`,
+  ].filter(Boolean).join('\n');
+
+  if (format === 'ssc') {
+    return `${head}\n\n//---------------dance-single - Beat Rush----------------\n#NOTEDATA:;\n`
+      + `#STEPSTYPE:dance-single;\n#DESCRIPTION:Beat Rush;\n#DIFFICULTY:${diff};\n`
+      + `#METER:${chart.meter || 1};\n#NOTES:\n${data}\n;\n`;
+  }
+  return `${head}\n\n//---------------dance-single - Beat Rush----------------\n#NOTES:\n`
+    + `     dance-single:\n     Beat Rush:\n     ${diff}:\n     ${chart.meter || 1}:\n`
+    + `     0,0,0,0,0:\n${data}\n;\n`;
+}
@@ -0,0 +1,78 @@
+// ── Time Stretch ──────────────────────────────────────────────
+// Changes a track's speed without changing its pitch (WSOLA): short
+// windowed grains are copied from the input at the new rate, each one
+// nudged to where it best continues the previous grain's waveform.
+// Slower than letting the source node resample, so it runs once per rate.
+
+import { downmix } from './analysis.js';
+
+const GRAIN_S = 0.046;       // grain length; long enough to hold a bass period
+const TOLERANCE_S = 0.006;   // how far a grain may move from its nominal place
+const GUIDE_FACTOR = 4;      // the alignment search runs on a decimated mono mix
+const REFINE = 4;            // full-rate samples checked either side of the guide's pick
+
+// Channel data of `buffer` played `rate` times as fast at the same pitch
+// (each channel is length / rate samples long)
+export function timeStretch(buffer, rate) {
+  const channels = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+  const inLen = buffer.length;
+  const outLen = Math.floor(inLen / rate);
+  const out = channels.map(() => new Float32Array(outLen));
+  if (rate === 1) {
+    channels.forEach((d, c) => out[c].set(d.subarray(0, outLen)));
+    return out;
+  }
+
+  // Power-of-two grain, half-overlapped Hann windows sum to one
+  const grain = 2 ** Math.round(Math.log2(buffer.sampleRate * GRAIN_S));
+  const hop = grain / 2;
+  const win = new Float32Array(grain);
+  for (let i = 0; i < grain; i++) win[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / grain);
+
+  const guide = downmix(buffer, buffer.sampleRate / GUIDE_FACTOR).samples;
+  const mono = downmix(buffer, buffer.sampleRate).samples;
+  const tol = Math.round(buffer.sampleRate * TOLERANCE_S / GUIDE_FACTOR);
+  const gHop = hop / GUIDE_FACTOR;
+
+  // Similarity of the `len` samples of `sig` at a and b (every `step`th sample)
+  const corr = (sig, a, b, len, step) => {
+    let s = 0;
+    for (let i = 0; i < len; i += step) s += sig[a + i] * sig[b + i];
+    return s;
+  };
+
+  let prev = 0;
+  for (let k = 0, at = 0; at < outLen; k++, at += hop) {
+    const nominal = Math.round(k * hop * rate);
+    let pos = nominal;
+    if (k > 0) {
+      // Where the previous grain's waveform would naturally have continued
+      const natural = prev + hop;
+      if (natural + grain < inLen && nominal + grain + tol * GUIDE_FACTOR + REFINE < inLen) {
+        const g0 = Math.floor(natural / GUIDE_FACTOR);
+        const gn = Math.floor(nominal / GUIDE_FACTOR);
+        let best = gn, bestScore = -Infinity;
+        for (let g = Math.max(0, gn - tol); g <= gn + tol; g++) {
+          const s = corr(guide, g0, g, gHop, 2);
+          if (s > bestScore) { bestScore = s; best = g; }
+        }
+        bestScore = -Infinity;
+        const coarse = best * GUIDE_FACTOR;
+        for (let p = Math.max(0, coarse - REFINE); p <= coarse + REFINE; p++) {
+          const s = corr(mono, natural, p, hop, 2);
+          if (s > bestScore) { bestScore = s; pos = p; }
+        }
+      }
+    }
+    prev = pos;
+
+    const n = Math.min(grain, outLen - at, inLen - pos);
+    for (let c = 0; c < channels.length; c++) {
+      const src = channels[c], dst = out[c];
+      // Nothing overlaps the first grain's rising half
+      for (let i = 0; i < n; i++) dst[at + i] += src[pos + i] * (k === 0 && i < hop ? 1 : win[i]);
+    }
+  }
+  return out;
+}
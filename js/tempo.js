@@ -0,0 +1,183 @@
+// ── Tempo Detection ───────────────────────────────────────────
+// BPM, half/double-time alternatives and the first downbeat, estimated
+// from the onsets of analyzeAudio(). Fills in tracks that arrive without
+// hand-entered metadata; deterministic like the analysis it reads.
+
+import { clamp } from './utils.js';
+
+const RES = 5;               // ms per onset-envelope bin
+const MIN_BPM = 70;          // lag range searched for the main peak
+const MAX_BPM = 180;
+const FOLD = [80, 160];      // the reported tempo is folded into this range
+const HARMONICS = 8;         // beat multiples used to refine the period
+const REACH = 24;            // bins searched around each long span (±120 ms)
+const BEATS_PER_BAR = 4;
+const ON_GRID_MS = 35;       // onsets closer than this to a grid line count as on it
+
+// Onset strengths on a RES grid; each onset is smeared over a few bins
+// so near-misses still correlate
+function onsetEnvelope(onsets, durationMs) {
+  const bins = Math.ceil(durationMs / RES) + 3;
+  const env = new Float32Array(bins);
+  for (const o of onsets) {
+    const c = Math.round(o.t / RES);
+    for (let k = -2; k <= 2; k++) {
+      if (c + k >= 0 && c + k < bins) env[c + k] += o.strength * (1 - Math.abs(k) / 3);
+    }
+  }
+  return env;
+}
+
+// Autocorrelation of the envelope at a fractional lag (bins). Whole lags
+// are computed on demand and memoised; in between is linear.
+function correlator(env) {
+  const cache = new Map();
+  const whole = lag => {
+    let s = cache.get(lag);
+    if (s === undefined) {
+      s = 0;
+      for (let i = 0; i + lag < env.length; i++) s += env[i] * env[i + lag];
+      cache.set(lag, s);
+    }
+    return s;
+  };
+  return lag => {
+    const i = Math.floor(lag), f = lag - i;
+    return f ? whole(i) * (1 - f) + whole(i + 1) * f : whole(i);
+  };
+}
+
+// Mean correlation over the first few multiples of a beat period
+function combScore(acf, period, harmonics) {
+  let s = 0;
+  for (let k = 1; k <= harmonics; k++) s += acf(k * period);
+  return s / harmonics;
+}
+
+// Beat length (bins) of the strongest periodicity in the search range.
+// The peak is refined against its harmonics, then against ever longer
+// spans: onset times are only frame-accurate, but an error of e per beat
+// is k·e after k beats, so distant repeats pin the period down. Each span
+// is searched REACH bins either side of the k-th beat, wide enough to
+// take in the harmonic estimate's error and well short of the next beat.
+function findPeriod(acf, bins) {
+  const minLag = Math.floor(60000 / MAX_BPM / RES);
+  const maxLag = Math.ceil(60000 / MIN_BPM / RES);
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (acf(lag) > acf(best)) best = lag;
+  }
+
+  const search = (from, to, step, score) => {
+    let period = from, bestScore = -Infinity;
+    for (let p = from; p <= to; p += step) {
+      const s = score(p);
+      if (s > bestScore) { bestScore = s; period = p; }
+    }
+    return period;
+  };
+  let period = search(best - 1.5, best + 1.5, 0.02, p => combScore(acf, p, HARMONICS));
+  for (let k = HARMONICS * 2; k * period * 2 < bins; k *= 2) {
+    const reach = REACH / k;
+    period = search(period - reach, period + reach, reach / 40, p => acf(k * p) + acf((k - 1) * p));
+  }
+  return period;
+}
+
+// Whole BPMs are far more common than not; snap when the estimate is close
+function tidyBpm(bpm) {
+  const whole = Math.round(bpm);
+  return Math.abs(bpm - whole) < 0.15 ? whole : Math.round(bpm * 100) / 100;
+}
+
+// Phase (ms, 0 ≤ phase < beatMs) of the beat grid that best lines up with
+// the onsets. Kick-band onsets count extra so off-beat hats don't pull the grid.
+export function beatPhase(onsets, beatMs) {
+  const BIN = 5;
+  const bins = Math.ceil(beatMs / BIN);
+  const hist = new Float64Array(bins);
+  for (const o of onsets) {
+    hist[Math.floor((o.t % beatMs) / BIN) % bins] += o.strength * (o.band === 'low' ? 2 : 1);
+  }
+  let best = 0, bestScore = -1;
+  for (let i = 0; i < bins; i++) {
+    let score = 0;
+    for (let k = -5; k <= 5; k++) score += hist[(i + k + bins) % bins] * (6 - Math.abs(k));
+    if (score > bestScore) { bestScore = score; best = i; }
+  }
+  return (best + 0.5) * BIN;
+}
+
+// How much of the onset weight sits on a beat grid, scaled so 0 is what
+// randomly placed onsets would score and 1 is every onset on a beat
+function gridFit(onsets, beatMs, phase) {
+  let on = 0, total = 0;
+  for (const o of onsets) {
+    const w = o.strength * (o.band === 'low' ? 2 : 1);
+    const d = ((o.t - phase) % beatMs + beatMs) % beatMs;
+    if (Math.min(d, beatMs - d) <= ON_GRID_MS) on += w;
+    total += w;
+  }
+  const chance = Math.min(1, 2 * ON_GRID_MS / beatMs);
+  return total > 0 && chance < 1 ? clamp((on / total - chance) / (1 - chance), 0, 1) : 0;
+}
+
+// First downbeat (ms into the audio): the beat of the bar (counted from
+// `phase`) where the track is loudest on average, since kicks, bass notes
+// and crashes land on the one
+export function firstDownbeat(analysis, beatMs, phase = beatPhase(analysis.onsets, beatMs)) {
+  const { energy, frameMs, durationMs } = analysis;
+  const bands = Object.values(energy);
+  const frames = bands[0].length;
+  const weight = new Float64Array(BEATS_PER_BAR);
+  for (let n = 0; phase + n * beatMs < durationMs; n++) {
+    // A frame's energy is centred a couple of frames after its start
+    const f = Math.round((phase + n * beatMs) / frameMs);
+    let peak = 0;
+    for (let k = Math.max(0, f - 3); k <= Math.min(frames - 1, f + 1); k++) {
+      let e = 0;
+      for (const band of bands) e += band[k];
+      peak = Math.max(peak, e);
+    }
+    weight[n % BEATS_PER_BAR] += peak;
+  }
+  let bar = 0;
+  for (let i = 1; i < BEATS_PER_BAR; i++) {
+    if (weight[i] > weight[bar]) bar = i;
+  }
+  return phase + bar * beatMs;
+}
+
+// Tempo of an analysed track:
+//   bpm        – best estimate, folded into 80–160
+//   confidence – 0..1, how well the onsets sit on its eighth-note grid
+//   candidates – [{ bpm, score }] the estimate, then half and double time,
+//                scored by how well the onsets sit on their beats
+//   offsetMs   – first downbeat, ms into the audio
+export function detectTempo(analysis) {
+  const { onsets, durationMs } = analysis;
+  if (onsets.length < BEATS_PER_BAR * 2) {
+    return { bpm: 120, confidence: 0, candidates: [{ bpm: 120, score: 0 }], offsetMs: 0 };
+  }
+
+  const env = onsetEnvelope(onsets, durationMs);
+  let bpm = 60000 / (findPeriod(correlator(env), env.length) * RES);
+  while (bpm < FOLD[0]) bpm *= 2;
+  while (bpm > FOLD[1]) bpm /= 2;
+
+  const round = v => Math.round(v * 100) / 100;
+  const candidates = [bpm, bpm / 2, bpm * 2].map(b => {
+    const beatMs = 60000 / tidyBpm(b);
+    return { bpm: tidyBpm(b), score: round(gridFit(onsets, beatMs, beatPhase(onsets, beatMs))) };
+  });
+  bpm = candidates[0].bpm;
+  const beatMs = 60000 / bpm;
+  const phase = beatPhase(onsets, beatMs);
+
+  return {
+    bpm,
+    confidence: round(gridFit(onsets, beatMs / 2, phase)),
+    candidates,
+    offsetMs: Math.round(firstDownbeat(analysis, beatMs, phase)),
+  };
+}
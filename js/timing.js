@@ -0,0 +1,100 @@
+// ── Timing Points ─────────────────────────────────────────────
+// Beat ↔ time mapping shared by chart generation, gameplay, rendering,
+// the editor and every chart format. A timing map is plain data:
+//   offset – seconds; beat 0 falls at -offset s into the audio (StepMania convention)
+//   bpms   – [{ beat, bpm }] sorted by beat; the first also covers earlier beats
+//   stops  – [{ beat, seconds }] pauses after the notes on their beat
+
+// Constant tempo with beat 0 at `firstBeatMs` into the audio
+export function createTiming(bpm, firstBeatMs = 0) {
+  return { offset: -firstBeatMs / 1000, bpms: [{ beat: 0, bpm }], stops: [] };
+}
+
+// A catalog song's timing: its own map if it has one, else a constant
+// grid from `bpm` starting at its `offset` (seconds, default 0)
+export function songTiming(song) {
+  if (song.timing) return { stops: [], offset: 0, ...song.timing };
+  return createTiming(song.bpm, (song.offset || 0) * 1000);
+}
+
+// True if the song pins its own grid (so analysis shouldn't move it)
+export function hasOwnTiming(song) {
+  return song.timing != null || song.offset != null;
+}
+
+export function bpmAtBeat(timing, beat) {
+  const { bpms } = timing;
+  let bpm = bpms[0].bpm;
+  for (const b of bpms) {
+    if (b.beat <= beat) bpm = b.bpm; else break;
+  }
+  return bpm;
+}
+
+// Length of one beat (ms) at a chart beat
+export function beatLength(timing, beat) {
+  return 60000 / bpmAtBeat(timing, beat);
+}
+
+// Beat → ms from the start of the audio, honouring BPM changes and stops
+export function beatToMs(timing, beat) {
+  const { bpms, stops = [], offset = 0 } = timing;
+  let ms = -offset * 1000;
+  for (let i = 0; i < bpms.length; i++) {
+    const from = i === 0 ? 0 : bpms[i].beat;
+    const to = i + 1 < bpms.length ? bpms[i + 1].beat : Infinity;
+    if (beat <= from) break;
+    ms += (Math.min(beat, to) - from) * 60000 / bpms[i].bpm;
+  }
+  if (beat < 0) ms += beat * 60000 / bpms[0].bpm;
+
+  // A stop pauses the chart after the notes on its own beat
+  for (const s of stops) {
+    if (s.beat < beat) ms += s.seconds * 1000;
+  }
+  return ms;
+}
+
+// Inverse of beatToMs (a time inside a stop maps to the stop's beat)
+export function msToBeat(timing, ms) {
+  const { bpms, stops = [], offset = 0 } = timing;
+  let beat = 0;
+  let t = -offset * 1000;
+  if (ms <= t) return (ms - t) * bpms[0].bpm / 60000;
+
+  // Walk the change points (BPM changes and stops) in beat order
+  const points = [...new Set([0, ...bpms.map(b => b.beat), ...stops.map(s => s.beat)])]
+    .filter(b => b >= 0).sort((a, b) => a - b);
+  for (const p of points) {
+    if (p > beat) {
+      const bpm = bpmAtBeat(timing, beat);
+      const endT = t + (p - beat) * 60000 / bpm;
+      if (ms < endT) return beat + (ms - t) * bpm / 60000;
+      beat = p;
+      t = endT;
+    }
+    const stop = stops.find(s => s.beat === p);
+    if (stop) {
+      if (ms < t + stop.seconds * 1000) return beat;
+      t += stop.seconds * 1000;
+    }
+  }
+  return beat + (ms - t) * bpmAtBeat(timing, beat) / 60000;
+}
+
+// Whole beats whose time falls in [fromMs, toMs]: [{ beat, t }]
+export function beatsBetween(timing, fromMs, toMs) {
+  const out = [];
+  for (let b = Math.ceil(msToBeat(timing, fromMs) - 1e-6); ; b++) {
+    const t = beatToMs(timing, b);
+    if (t > toMs) break;
+    if (t >= fromMs) out.push({ beat: b, t });
+  }
+  return out;
+}
+
+// 1 on each beat, decaying to 0 a little under a third of the way to the next
+export function beatPulseAt(timing, ms) {
+  const beat = msToBeat(timing, ms);
+  return Math.pow(Math.max(0, 1 - (beat - Math.floor(beat)) * 3.5), 2);
+}
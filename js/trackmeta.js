@@ -0,0 +1,26 @@
+// ── Track Metadata Cache ──────────────────────────────────────
+// Values detected from a track's audio (key, Camelot code), kept in
+// localStorage by track id so each track is only analysed once
+
+const STORAGE_KEY = 'beatrush_trackmeta';
+
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch { return {}; }
+}
+
+// Cached metadata for a track id, or null
+export function loadTrackMeta(id) {
+  return loadAll()[id] || null;
+}
+
+// Merged into the track's entry; returns false if storage is full or unavailable
+export function saveTrackMeta(id, meta) {
+  const all = loadAll();
+  all[id] = { ...all[id], ...meta };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return true;
+  } catch { return false; }
+}
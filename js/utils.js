@@ -37,3 +37,49 @@ export const easeOutElastic = t => {
   if (t === 0 || t === 1) return t;
   return Math.pow(2, -10 * t) * Math.sin((t - 0.075) * (2 * Math.PI) / 0.3) + 1;
 };
+
+// Byte count for display: '4.2 MB'
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Song time for display: '1:05'
+export function formatClock(ms) {
+  const s = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Sample series every `series.step` song ms up to `songMs`: each value
+// is pushed onto the array of the same name (frames can skip samples;
+// those repeat the latest values)
+export function sampleSeries(series, songMs, values) {
+  const keys = Object.keys(values);
+  while (series[keys[0]].length * series.step <= songMs) {
+    for (const k of keys) series[k].push(values[k]);
+  }
+}
+
+// Text made safe to put in markup (track titles come from file names)
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// Lower-case extension of a file name, with the dot ('' if none)
+export function fileExt(name) {
+  const i = name.lastIndexOf('.');
+  return i < 0 ? '' : name.slice(i).toLowerCase();
+}
+
+// Offer a text file to the user as a download
+export function downloadText(filename, text, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
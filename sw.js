@@ -0,0 +1,101 @@
+// ── Service Worker ────────────────────────────────────────────
+// Keeps the app shell (page, styles, scripts, fonts) available offline.
+// Track audio is cached separately, in IndexedDB (see js/offline.js).
+
+const CACHE = 'beatrush-shell-v1';
+
+// Precached on install so the first offline launch has every module
+const SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icon.svg',
+  'css/style.css',
+  'js/analysis.js',
+  'js/audio.js',
+  'js/autoplay.js',
+  'js/backup.js',
+  'js/beatmap.js',
+  'js/calibration.js',
+  'js/charts.js',
+  'js/db.js',
+  'js/editor.js',
+  'js/effects.js',
+  'js/game.js',
+  'js/ghost.js',
+  'js/history.js',
+  'js/hiterrors.js',
+  'js/input.js',
+  'js/key.js',
+  'js/main.js',
+  'js/modifiers.js',
+  'js/offline.js',
+  'js/osu.js',
+  'js/practice.js',
+  'js/preview.js',
+  'js/renderer.js',
+  'js/replays.js',
+  'js/rungraph.js',
+  'js/runs.js',
+  'js/scores.js',
+  'js/settings.js',
+  'js/songs.js',
+  'js/stepmania.js',
+  'js/stretch.js',
+  'js/tempo.js',
+  'js/timing.js',
+  'js/trackmeta.js',
+  'js/utils.js',
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', e => {
+  e.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop shells from older versions
+self.addEventListener('activate', e => {
+  e.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Own files: network first so updates land, the cache when offline.
+// Fonts: cache first. Anything else (track audio) passes straight through.
+self.addEventListener('fetch', e => {
+  const { request } = e;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) e.respondWith(networkFirst(request));
+  else if (FONT_HOSTS.includes(url.hostname)) e.respondWith(cacheFirst(request));
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Font stylesheets load without CORS, so their responses are opaque
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
@@ -0,0 +1,211 @@
+// ── High Score Storage Tests ──────────────────────────────────
+// Migrating stored high scores from older formats, validating records,
+// and leaving a newer version's store alone. Run with `node --test`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCHEMA_VERSION, migrateScores, validateScore,
+  loadAllScores, loadScore, saveScore, mergeScores,
+} from '../js/scores.js';
+
+const STORAGE_KEY = 'beatrush_highscores';
+
+// In-memory localStorage; `full` makes every write fail like a full quota
+const storage = {
+  items: {},
+  writes: 0,
+  full: false,
+  getItem(k) { return k in this.items ? this.items[k] : null; },
+  setItem(k, v) {
+    if (this.full) throw new Error('QuotaExceededError');
+    this.writes++;
+    this.items[k] = String(v);
+  },
+};
+globalThis.localStorage = storage;
+
+// console.warn calls, kept instead of printed
+const warnings = [];
+console.warn = (...args) => warnings.push(args);
+
+beforeEach(() => {
+  storage.items = {};
+  storage.writes = 0;
+  storage.full = false;
+  warnings.length = 0;
+});
+
+const store = data => { storage.items[STORAGE_KEY] = JSON.stringify(data); };
+const stored = () => JSON.parse(storage.items[STORAGE_KEY]);
+
+// What the store looked like before it had a version: a bare map, with
+// title-only keys from before charts had tiers and no modifier fields
+const LEGACY = {
+  'Neon Drive': {
+    score: 84200, maxCombo: 212, accuracy: 91, grade: 'A',
+    perfectCount: 180, greatCount: 30, goodCount: 5, missCount: 2,
+    date: '2024-03-01T12:00:00.000Z',
+  },
+  'Neon Drive|hard': { score: 51000, maxCombo: 96, accuracy: 78, grade: 'C' },
+  'Pulse|expert|1.25x': { score: 9900, maxCombo: 40, accuracy: 64, grade: 'D', mods: ['hidden'], speed: 2 },
+};
+
+// ── Migrations ────────────────────────────────────────────────
+
+test('migrates the unversioned map: re-keys title-only scores and fills in new fields', () => {
+  const scores = migrateScores(LEGACY);
+  assert.deepEqual(Object.keys(scores).sort(), ['Neon Drive|hard', 'Neon Drive|normal', 'Pulse|expert|1.25x']);
+
+  const old = scores['Neon Drive|normal'];
+  assert.equal(old.title, 'Neon Drive');
+  assert.equal(old.difficulty, 'normal');
+  assert.equal(old.rate, 1);
+  assert.equal(old.score, 84200);
+  assert.deepEqual(old.mods, []);
+  assert.equal(old.speed, 1);
+  assert.equal(old.scoreMult, 1);
+  assert.equal(old.ghost, null);
+
+  const rated = scores['Pulse|expert|1.25x'];
+  assert.equal(rated.rate, 1.25);
+  assert.deepEqual(rated.mods, ['hidden']);
+  assert.equal(rated.speed, 2);
+  // Counts it never had default to zero
+  assert.equal(scores['Neon Drive|hard'].missCount, 0);
+});
+
+test('loads an unversioned store and writes it back in the current format', () => {
+  store(LEGACY);
+  const all = loadAllScores();
+  assert.equal(all['Neon Drive|normal'].score, 84200);
+
+  const saved = stored();
+  assert.equal(saved.version, SCHEMA_VERSION);
+  assert.deepEqual(Object.keys(saved.scores).sort(), Object.keys(all).sort());
+
+  // Upgraded once: later loads read it as it is
+  const writes = storage.writes;
+  loadAllScores();
+  assert.equal(storage.writes, writes);
+});
+
+test('reads a current store as it is, without rewriting it', () => {
+  const scores = migrateScores(LEGACY);
+  store({ version: SCHEMA_VERSION, scores });
+  assert.deepEqual(migrateScores(stored()), scores);
+  assert.equal(loadScore('Pulse|expert|1.25x').score, 9900);
+  assert.equal(storage.writes, 0);
+});
+
+test('an empty store has no scores', () => {
+  assert.deepEqual(migrateScores(null), {});
+  assert.deepEqual(loadAllScores(), {});
+  assert.equal(storage.writes, 0);
+});
+
+// ── Newer versions ────────────────────────────────────────────
+
+test('refuses to migrate a store from a newer version', () => {
+  assert.throws(() => migrateScores({ version: SCHEMA_VERSION + 1, scores: {} }), /newer version/);
+});
+
+test('leaves a newer version\'s store read-only', () => {
+  const future = { version: SCHEMA_VERSION + 1, scores: { 'Song|normal': { points: 5 } } };
+  store(future);
+  assert.deepEqual(loadAllScores(), {});
+  assert.throws(() => saveScore('Song|normal', { score: 100, accuracy: 90 }), /newer version/);
+  assert.throws(() => mergeScores({ 'Song|normal': { score: 100, accuracy: 90 } }), /newer version/);
+  assert.deepEqual(stored(), future);
+  assert.equal(storage.writes, 0);
+});
+
+// ── Validation ────────────────────────────────────────────────
+
+test('rejects records without a usable score or accuracy', () => {
+  for (const rec of [
+    null, 'A', {},
+    { score: '100', accuracy: 90 },
+    { score: -1, accuracy: 90 },
+    { score: NaN, accuracy: 90 },
+    { score: 100 },
+    { score: 100, accuracy: 101 },
+    { score: 100, accuracy: -3 },
+  ]) {
+    assert.equal(validateScore('Song|normal', rec), null, JSON.stringify(rec));
+  }
+});
+
+test('repairs fields that can be worked out', () => {
+  const rec = validateScore('Song|hard|1.5x', {
+    title: 'Other', difficulty: 'easy', rate: 3,
+    score: 1200, accuracy: 96, grade: '<b>',
+    maxCombo: -4, perfectCount: 2.5, greatCount: 'x',
+    mods: ['mirror', 7, null], speed: 0, scoreMult: 'big',
+    ghost: { step: 500, score: 'no' }, date: 12,
+  });
+  // The key decides the track, tier and rate
+  assert.equal(rec.title, 'Song');
+  assert.equal(rec.difficulty, 'hard');
+  assert.equal(rec.rate, 1.5);
+  // An unknown grade is worked out again from the accuracy
+  assert.equal(rec.grade, 'S');
+  assert.equal(rec.maxCombo, 0);
+  assert.equal(rec.perfectCount, 0);
+  assert.equal(rec.greatCount, 0);
+  assert.deepEqual(rec.mods, ['mirror']);
+  assert.equal(rec.speed, 1);
+  assert.equal(rec.scoreMult, 1);
+  assert.equal(rec.ghost, null);
+  assert.equal(rec.date, null);
+});
+
+test('drops invalid records on load, stores the cleaned set and warns once', () => {
+  store({
+    version: SCHEMA_VERSION,
+    scores: {
+      'Good|normal': { score: 500, accuracy: 80, grade: 'B' },
+      'Broken|normal': { score: 'lots', accuracy: 80 },
+    },
+  });
+  assert.deepEqual(Object.keys(loadAllScores()), ['Good|normal']);
+  assert.deepEqual(Object.keys(stored().scores), ['Good|normal']);
+  assert.equal(warnings.length, 1);
+
+  loadAllScores();
+  loadScore('Good|normal');
+  assert.equal(warnings.length, 1);
+});
+
+// ── Writes ────────────────────────────────────────────────────
+
+test('saves new high scores in the current format and keeps the higher one', () => {
+  assert.equal(saveScore('Song|normal', { score: 300, accuracy: 70, grade: 'C' }), true);
+  assert.equal(saveScore('Song|normal', { score: 200, accuracy: 90, grade: 'A' }), false);
+  const saved = stored();
+  assert.equal(saved.version, SCHEMA_VERSION);
+  assert.equal(saved.scores['Song|normal'].score, 300);
+});
+
+test('reports a write that fails instead of dropping it silently', () => {
+  storage.full = true;
+  assert.throws(() => saveScore('Song|normal', { score: 300, accuracy: 70 }), /storage space/);
+  assert.throws(() => mergeScores({ 'Song|normal': { score: 300, accuracy: 70 } }), /storage space/);
+});
+
+test('merges records by key, keeping the higher score and normalizing legacy keys', () => {
+  saveScore('A|normal', { score: 100, accuracy: 60 });
+  saveScore('B|hard', { score: 900, accuracy: 95 });
+  const merged = mergeScores({
+    'A': { score: 150, accuracy: 65 },
+    'B|hard': { score: 800, accuracy: 99 },
+    'C|easy': { score: 10, accuracy: 20 },
+    'D|easy': { score: null },
+  });
+  assert.equal(merged, 2);
+  const all = loadAllScores();
+  assert.equal(all['A|normal'].score, 150);
+  assert.equal(all['B|hard'].score, 900);
+  assert.ok(all['C|easy']);
+  assert.equal(all['D|easy'], undefined);
+});
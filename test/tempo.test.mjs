@@ -0,0 +1,139 @@
+// ── Tempo Detection Tests ─────────────────────────────────────
+// Synthetic click tracks at known tempos, through analyzeAudio() and
+// detectTempo(). Run with `node --test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeAudio } from '../js/analysis.js';
+import { detectTempo, beatPhase, firstDownbeat } from '../js/tempo.js';
+
+// Allowed error for a reported BPM and a first downbeat (ms). Onsets are
+// only frame-accurate (~23 ms), so the downbeat gets the on-grid window.
+const BPM_TOL = 0.1;
+const DOWNBEAT_TOL = 35;
+
+// Just enough of an AudioBuffer for analyzeAudio()
+function fakeBuffer(data, sampleRate) {
+  return {
+    sampleRate,
+    length: data.length,
+    duration: data.length / sampleRate,
+    numberOfChannels: 1,
+    getChannelData: () => data,
+  };
+}
+
+// Clicks on every beat from `downbeat` (s), louder and lower on the one of
+// each 4/4 bar; `pickup` beats before the downbeat lead in unaccented
+function clickTrack({ bpm, downbeat = 0, pickup = 0, seconds = 30, sampleRate = 44100 }) {
+  const data = new Float32Array(Math.round(seconds * sampleRate));
+  const beat = 60 / bpm;
+  for (let b = -pickup; downbeat + b * beat < seconds; b++) {
+    const start = Math.round((downbeat + b * beat) * sampleRate);
+    if (start < 0) continue;
+    const one = ((b % 4) + 4) % 4 === 0;
+    const amp = one ? 1 : 0.5;
+    const freq = one ? 880 : 1320;
+    for (let k = 0; k < sampleRate * 0.03 && start + k < data.length; k++) {
+      data[start + k] += amp * Math.exp(-k / (sampleRate * 0.004)) * Math.sin(2 * Math.PI * freq * k / sampleRate);
+    }
+  }
+  return fakeBuffer(data, sampleRate);
+}
+
+const detect = opts => detectTempo(analyzeAudio(clickTrack(opts)));
+
+// ── BPM ───────────────────────────────────────────────────────
+
+test('detects whole tempos across the reported range', () => {
+  for (const bpm of [90, 100, 120, 128, 140]) {
+    const { bpm: found, confidence } = detect({ bpm, downbeat: 0.3 });
+    assert.ok(Math.abs(found - bpm) <= BPM_TOL, `${bpm} BPM read as ${found}`);
+    assert.ok(confidence > 0.8, `${bpm} BPM confidence ${confidence}`);
+  }
+});
+
+test('detects a fractional tempo', () => {
+  const { bpm } = detect({ bpm: 123.5, downbeat: 0.3 });
+  assert.ok(Math.abs(bpm - 123.5) <= BPM_TOL, `read as ${bpm}`);
+});
+
+test('gives the same result whatever rate the audio was decoded at', () => {
+  const a = detect({ bpm: 128, downbeat: 0.37, sampleRate: 44100 });
+  const b = detect({ bpm: 128, downbeat: 0.37, sampleRate: 48000 });
+  assert.deepEqual(a, b);
+});
+
+// ── Octave choice ─────────────────────────────────────────────
+
+test('keeps tempos just inside the range rather than halving or doubling them', () => {
+  // Near-half: 81 is a hair above the floor (40.5 and 162 are the octaves)
+  const low = detect({ bpm: 81, downbeat: 0.2 });
+  assert.ok(Math.abs(low.bpm - 81) <= BPM_TOL, `81 BPM read as ${low.bpm}`);
+  // Near-double: 158 is a hair below the ceiling (79 and 316 are the octaves)
+  const high = detect({ bpm: 158, downbeat: 0.5 });
+  assert.ok(Math.abs(high.bpm - 158) <= BPM_TOL, `158 BPM read as ${high.bpm}`);
+});
+
+test('folds tempos outside the range into it and offers the octaves as candidates', () => {
+  // 170 is above the range: reported at half time, double time is a candidate
+  const fast = detect({ bpm: 170, downbeat: 0.1 });
+  assert.ok(Math.abs(fast.bpm - 85) <= BPM_TOL, `170 BPM folded to ${fast.bpm}`);
+  assert.ok(Math.abs(fast.candidates[2].bpm - 170) <= BPM_TOL * 2);
+  // 75 is below it: reported at double time, half of that is a candidate
+  const slow = detect({ bpm: 75, downbeat: 0.3 });
+  assert.ok(Math.abs(slow.bpm - 150) <= BPM_TOL, `75 BPM folded to ${slow.bpm}`);
+  assert.ok(Math.abs(slow.candidates[1].bpm - 75) <= BPM_TOL);
+});
+
+test('lists the estimate, then half and double time', () => {
+  const { bpm, candidates } = detect({ bpm: 100, downbeat: 0.3 });
+  assert.equal(candidates.length, 3);
+  assert.equal(candidates[0].bpm, bpm);
+  assert.ok(Math.abs(candidates[1].bpm - bpm / 2) <= BPM_TOL);
+  assert.ok(Math.abs(candidates[2].bpm - bpm * 2) <= BPM_TOL * 2);
+  // Every click sits on the estimate's beats; only half of half time's do
+  assert.ok(candidates[0].score > candidates[1].score);
+});
+
+// ── Downbeat ──────────────────────────────────────────────────
+
+test('finds the first downbeat of a track that starts off the beat grid', () => {
+  for (const [bpm, downbeat] of [[100, 0.9], [128, 0.37], [140, 0.2]]) {
+    const { offsetMs } = detect({ bpm, downbeat });
+    assert.ok(Math.abs(offsetMs - downbeat * 1000) <= DOWNBEAT_TOL, `${bpm} BPM downbeat at ${downbeat * 1000} read as ${offsetMs}`);
+  }
+});
+
+test('puts the downbeat on the accented beat, not on a pickup', () => {
+  // Two unaccented beats lead in; the one lands on the third click
+  const { offsetMs } = detect({ bpm: 120, downbeat: 1.1, pickup: 2 });
+  assert.ok(Math.abs(offsetMs - 1100) <= DOWNBEAT_TOL, `read as ${offsetMs}`);
+});
+
+test('beatPhase lines the grid up with the onsets', () => {
+  const onsets = [];
+  for (let t = 230; t < 20000; t += 500) onsets.push({ t, strength: 1, band: 'low' });
+  // Off-beat hats shouldn't pull the grid away from the kicks
+  for (let t = 480; t < 20000; t += 500) onsets.push({ t, strength: 0.6, band: 'high' });
+  assert.ok(Math.abs(beatPhase(onsets, 500) - 230) <= 5);
+});
+
+test('firstDownbeat picks the loudest beat of the bar', () => {
+  const beatMs = 500, frameMs = 10, durationMs = 16000;
+  const frames = durationMs / frameMs;
+  const band = new Float32Array(frames).fill(0.1);
+  // Beats from 100 ms; every fourth from the third (1100 ms) is loud
+  for (let n = 0; 100 + n * beatMs < durationMs; n++) {
+    band[Math.round((100 + n * beatMs) / frameMs)] = (n - 2) % 4 === 0 ? 1 : 0.4;
+  }
+  const analysis = { energy: { low: band }, frameMs, durationMs, onsets: [] };
+  assert.equal(firstDownbeat(analysis, beatMs, 100), 1100);
+});
+
+// ── Fallback ──────────────────────────────────────────────────
+
+test('falls back to 120 BPM with no confidence when there are too few onsets', () => {
+  const silent = analyzeAudio(fakeBuffer(new Float32Array(44100 * 5), 44100));
+  assert.deepEqual(detectTempo(silent), { bpm: 120, confidence: 0, candidates: [{ bpm: 120, score: 0 }], offsetMs: 0 });
+});